@@ -0,0 +1,101 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+// Optional HTTP server for health checks, Prometheus metrics and a small JSON
+// admin API. Health and metrics are open; /admin/* needs `Authorization:
+// Bearer <token>` and is disabled when no token is configured.
+//
+//   GET  /healthz                 the process is up and its event loop responds
+//   GET  /readyz                  a relay is connected and the subscription is active
+//   GET  /metrics                 Prometheus text format
+//   GET  /admin/status            paused flag, queue size, relay states
+//   GET  /admin/events?limit=N    recently forwarded events
+//   POST /admin/events/<id>/resend
+//   POST /admin/pause, /admin/resume
+function createAdminServer({ port, host = '0.0.0.0', token = '', readiness, metrics, admin, log = createLogger() }) {
+  function send(res, status, body, contentType = 'application/json') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  }
+
+  // Constant-time comparison so the token can't be guessed byte by byte
+  function authorized(req) {
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async function handleAdmin(req, res, url) {
+    if (!token) return send(res, 403, { error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+    if (!authorized(req)) return send(res, 401, { error: 'Unauthorized' });
+
+    const resend = url.pathname.match(/^\/admin\/events\/([0-9a-f]{64}|n(?:ote|event)1[02-9ac-hj-np-z]+)\/resend$/);
+    if (req.method === 'GET' && url.pathname === '/admin/status') {
+      return send(res, 200, admin.status());
+    }
+    if (req.method === 'GET' && url.pathname === '/admin/events') {
+      const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 500);
+      return send(res, 200, { events: admin.recent(limit) });
+    }
+    if (req.method === 'POST' && resend) {
+      const result = await admin.resend(resend[1]);
+      return send(res, result.ok ? 202 : 404, result);
+    }
+    if (req.method === 'POST' && url.pathname === '/admin/pause') {
+      admin.pause();
+      return send(res, 200, { paused: true });
+    }
+    if (req.method === 'POST' && url.pathname === '/admin/resume') {
+      admin.resume();
+      return send(res, 200, { paused: false });
+    }
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/healthz') {
+      return send(res, 200, { status: 'ok' });
+    }
+    if (req.method === 'GET' && url.pathname === '/readyz') {
+      const state = readiness();
+      return send(res, state.ready ? 200 : 503, state);
+    }
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      return send(res, 200, metrics.render(), 'text/plain; version=0.0.4');
+    }
+    if (url.pathname.startsWith('/admin/')) {
+      return handleAdmin(req, res, url);
+    }
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    // Request bodies aren't used; drain them so the connection can be reused
+    req.resume();
+    handle(req, res).catch(error => {
+      log.error('❌ Admin API error', { error });
+      send(res, 500, { error: error.message || 'Internal error' });
+    });
+  });
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        log.info(`🩺 Health, metrics${token ? ' and admin API' : ''} on http://${host}:${server.address().port}`);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createAdminServer };
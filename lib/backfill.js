@@ -0,0 +1,103 @@
+const { toHexPubkey, parseKinds, buildFilters } = require('./config');
+const { parseEventReference } = require('./compose');
+
+// Command-line options of `npm run backfill`:
+//   --since <time> / --until <time>   ISO date, unix timestamp or an age like 7d, 12h, 30m
+//   --kinds 1,6                       only these kinds
+//   --pubkey <npub|hex>               only events of (or for) this watched identity
+//   --limit <n>                       at most n events (newest kept, default 500)
+//   --dry-run                         print the Discord payloads instead of posting them
+//   --force                           post again even where an event was already forwarded
+//   note1… / nevent1… / hex IDs       these events instead of a time range
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Seconds since the epoch for "7d" (that long ago), a unix timestamp or a date string
+function parseTime(value, now = Math.floor(Date.now() / 1000)) {
+  const age = String(value).match(/^(\d+)([smhdw])$/);
+  if (age) return now - parseInt(age[1]) * UNITS[age[2]];
+  if (/^\d{9,}$/.test(value)) return parseInt(value);
+  const parsed = Date.parse(value);
+  if (isNaN(parsed)) throw new Error(`Invalid time "${value}" (use an ISO date, a unix timestamp or an age like 7d)`);
+  return Math.floor(parsed / 1000);
+}
+
+// The options with nothing given, also filled in for Bridge#backfill callers
+function defaultBackfillOptions() {
+  return { since: null, until: null, kinds: null, pubkey: null, limit: 500, ids: [], dryRun: false, force: false };
+}
+
+function parseBackfillArgs(args, now) {
+  const options = defaultBackfillOptions();
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    const value = () => {
+      const next = args[++index];
+      if (next === undefined) throw new Error(`${arg} needs a value`);
+      return next;
+    };
+    switch (arg) {
+      case '--since':
+        options.since = parseTime(value(), now);
+        break;
+      case '--until':
+        options.until = parseTime(value(), now);
+        break;
+      case '--kinds':
+        options.kinds = parseKinds(value());
+        if (options.kinds.length === 0) throw new Error('--kinds needs at least one kind');
+        break;
+      case '--pubkey':
+        options.pubkey = toHexPubkey(value());
+        break;
+      case '--limit':
+        options.limit = parseInt(value());
+        if (!(options.limit > 0)) throw new Error('--limit must be a positive number');
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.ids.push(parseEventReference(arg).id);
+    }
+  }
+  if (options.ids.length === 0 && options.since === null) {
+    throw new Error('Give a start time with --since, or the IDs of the events to forward');
+  }
+  if (options.since !== null && options.until !== null && options.since > options.until) {
+    throw new Error('--since is after --until');
+  }
+  return options;
+}
+
+// Relay filters for a backfill: the bot's own subscription filters narrowed to the
+// options, or a plain ID lookup
+function backfillFilters(config, options) {
+  if (options.ids.length > 0) {
+    return [{ ids: options.ids }];
+  }
+
+  let identities = config.identities;
+  if (options.pubkey) {
+    identities = identities.filter(identity => identity.pubkey === options.pubkey);
+    if (identities.length === 0) throw new Error(`${options.pubkey} is not a watched identity`);
+  }
+  if (options.kinds) {
+    identities = identities
+      .map(identity => Object.assign({}, identity, { kinds: identity.kinds.filter(kind => options.kinds.includes(kind)) }))
+      .filter(identity => identity.kinds.length > 0);
+    if (identities.length === 0) throw new Error(`No watched identity has kinds ${options.kinds.join(', ')} enabled`);
+  }
+
+  return buildFilters(Object.assign({}, config, { identities })).map(filter => {
+    const narrowed = Object.assign({}, filter, { since: options.since, limit: options.limit });
+    if (options.until !== null) narrowed.until = options.until;
+    return narrowed;
+  });
+}
+
+module.exports = { parseTime, defaultBackfillOptions, parseBackfillArgs, backfillFilters };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+// Minimal BOLT11 invoice decoder: network, amount, payment/description hash,
+// description, expiry and payee (from the `n` field or the signature).
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// Multipliers from the invoice amount suffix to millisatoshis
+// (1 BTC = 100,000,000,000 msat)
+const MSAT_PER_UNIT = {
+  '': 100000000000n,
+  m: 100000000n,
+  u: 100000n,
+  n: 100n,
+  p: null // pico-BTC is a tenth of a millisat, handled separately
+};
+
+const NETWORKS = { bc: 'mainnet', tb: 'testnet', tbs: 'signet', bcrt: 'regtest', sb: 'simnet' };
+
+function polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  values.forEach(value => {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >> i) & 1) chk ^= generator;
+    });
+  });
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+}
+
+// Bech32 decode without the 90-character limit (invoices are much longer)
+function bech32Decode(str) {
+  const lower = str.toLowerCase();
+  if (lower !== str && str.toUpperCase() !== str) {
+    throw new Error('Mixed-case invoice');
+  }
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw new Error('Missing bech32 separator');
+  }
+  const hrp = lower.slice(0, separator);
+  const words = [];
+  for (const char of lower.slice(separator + 1)) {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid bech32 character "${char}"`);
+    words.push(value);
+  }
+  if (polymod(hrpExpand(hrp).concat(words)) !== 1) {
+    throw new Error('Invalid bech32 checksum');
+  }
+  return { hrp, words: words.slice(0, -6) };
+}
+
+// Regroup 5-bit words into bytes (dropping incomplete trailing bits unless `pad`)
+function wordsToBytes(words, pad = false) {
+  let acc = 0;
+  let bits = 0;
+  const bytes = [];
+  words.forEach(word => {
+    acc = (acc << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  });
+  if (pad && bits > 0) {
+    bytes.push((acc << (8 - bits)) & 0xff);
+  }
+  return Buffer.from(bytes);
+}
+
+function wordsToInt(words) {
+  return words.reduce((total, word) => total * 32 + word, 0);
+}
+
+// Parse the human-readable part: ln + currency prefix + optional amount
+function parseHrp(hrp) {
+  const match = hrp.match(/^ln(bcrt|tbs|bc|tb|sb)(\d+)?([munp])?$/);
+  if (!match) throw new Error(`Unrecognised invoice prefix "${hrp}"`);
+  const [, prefix, amount, unit = ''] = match;
+
+  let amountMsat = null;
+  if (amount) {
+    if (unit === 'p') {
+      const pico = BigInt(amount);
+      if (pico % 10n !== 0n) throw new Error('Sub-millisatoshi amount');
+      amountMsat = pico / 10n;
+    } else {
+      amountMsat = BigInt(amount) * MSAT_PER_UNIT[unit];
+    }
+  }
+  return { network: NETWORKS[prefix], amountMsat };
+}
+
+// Decode a BOLT11 invoice; amounts are returned as Numbers (safe for any real invoice)
+function decodeInvoice(invoice) {
+  const { hrp, words } = bech32Decode(invoice.trim().replace(/^lightning:/i, ''));
+  const { network, amountMsat } = parseHrp(hrp);
+
+  // 104 words (65 bytes) of recoverable signature at the end
+  const signatureWords = words.slice(-104);
+  const dataWords = words.slice(0, -104);
+  const timestamp = wordsToInt(dataWords.slice(0, 7));
+
+  const decoded = {
+    network: network,
+    amountMsat: amountMsat === null ? null : Number(amountMsat),
+    timestamp: timestamp,
+    paymentHash: null,
+    descriptionHash: null,
+    description: null,
+    expiry: 3600,
+    payee: null
+  };
+
+  let pos = 7;
+  while (pos + 3 <= dataWords.length) {
+    const type = dataWords[pos];
+    const length = dataWords[pos + 1] * 32 + dataWords[pos + 2];
+    const fieldWords = dataWords.slice(pos + 3, pos + 3 + length);
+    pos += 3 + length;
+
+    switch (BECH32_CHARSET[type]) {
+      case 'p':
+        decoded.paymentHash = wordsToBytes(fieldWords).toString('hex');
+        break;
+      case 'h':
+        decoded.descriptionHash = wordsToBytes(fieldWords).toString('hex');
+        break;
+      case 'd':
+        decoded.description = wordsToBytes(fieldWords).toString('utf8');
+        break;
+      case 'x':
+        decoded.expiry = wordsToInt(fieldWords);
+        break;
+      case 'n':
+        decoded.payee = wordsToBytes(fieldWords).toString('hex');
+        break;
+    }
+  }
+
+  // Without an explicit `n` field the payee is recovered from the signature
+  if (!decoded.payee) {
+    const signatureBytes = wordsToBytes(signatureWords);
+    const signingData = Buffer.concat([Buffer.from(hrp, 'utf8'), wordsToBytes(dataWords, true)]);
+    const messageHash = crypto.createHash('sha256').update(signingData).digest();
+    try {
+      const signature = secp256k1.Signature
+        .fromCompact(signatureBytes.subarray(0, 64).toString('hex'))
+        .addRecoveryBit(signatureBytes[64]);
+      decoded.payee = signature.recoverPublicKey(messageHash).toHex(true);
+    } catch (e) {
+      decoded.payee = null;
+    }
+  }
+
+  return decoded;
+}
+
+module.exports = { decodeInvoice, bech32Decode };
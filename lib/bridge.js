@@ -0,0 +1,2292 @@
+require('websocket-polyfill');
+const EventEmitter = require('events');
+const path = require('path');
+const { nip10, nip19, SimplePool, getEventHash, validateEvent, verifySignature, matchFilter } = require('nostr-tools');
+const { createStateStore, createHighWaterTracker, filterKey, resolveSince } = require('./state');
+const { loadConfig, configFromObject, matchIdentities, resolveDeliveries, buildFilters } = require('./config');
+const { createDeliveryQueue } = require('./delivery');
+const { createProfileCache, DEFAULT_AVATAR } = require('./profiles');
+const { createNoteCache, parseRepostContent } = require('./notes');
+const { validateZapReceipt } = require('./zaps');
+const { createStatsStore, buildDigest } = require('./digest');
+const { schedule } = require('./cron');
+const { createRulesEngine } = require('./filters');
+const { createFollowGraph } = require('./follows');
+const { createTrustPolicy, appendModeration, readModeration } = require('./trust');
+const { getEventAddress, getDeletionTargets, strikeThrough } = require('./mirror');
+const { renderContent, attachImages, getMentionedPubkeys, MAX_DESCRIPTION_LENGTH, MAX_FIELD_LENGTH } = require('./content');
+const { BUILTIN_FORMATTERS, createFormatterRegistry } = require('./formatters');
+const { coordinateToNaddr } = require('./formatters/tags');
+const { loadLocale } = require('./i18n');
+const { loadTemplates, findTemplate, applyTemplate } = require('./templates');
+const { createLinkBuilder, formatLinkList } = require('./links');
+const { createRelaySupervisor, fetchRelayLists, filtersForSources } = require('./relays');
+const { createMetrics } = require('./metrics');
+const { createAdminServer } = require('./admin');
+const { defaultBackfillOptions, backfillFilters } = require('./backfill');
+const { DEFAULT_EVENTS, checkRelay, checkDestination, createReport } = require('./doctor');
+const { parseEventReference, buildNote, buildReply, buildReaction, buildRepost } = require('./compose');
+const { createLocalSigner, createRemoteSigner } = require('./signer');
+const { createInteractionsServer, registerCommands } = require('./interactions');
+const { threadName, startThread } = require('./threads');
+const { getSink } = require('./sinks');
+const { createCoalescer } = require('./coalesce');
+const { DM_KINDS, GIFT_WRAP_SKEW_SECONDS, openDirectMessage } = require('./dms');
+const { parseLogLevel, createLogger } = require('./logger');
+const { loadSettings } = require('./settings');
+
+// Default relays
+const DEFAULT_RELAYS = [
+  'wss://relay.nostr.band',
+  'wss://relay.damus.io',
+  'wss://eden.nostr.land',
+  'wss://nos.lol',
+  'wss://relay.snort.social',
+  'wss://relay.current.fyi',
+  'wss://brb.io',
+  'wss://nostr.orangepill.dev',
+  'wss://nostr-pub.wellorder.net',
+  'wss://nostr.wine',
+  'wss://nostr.bitcoiner.social',
+  'wss://relay.primal.net'
+].join(',');
+
+// Quote `text` as markdown ("> " on every line) in at most `maxLength` characters,
+// dropping whole lines from the end so links inside them stay intact
+function quoteText(text, maxLength) {
+  const lines = text.split('\n').map(line => `> ${line}`);
+  let quote = lines.join('\n');
+  while (quote.length > maxLength && lines.length > 1) {
+    lines.pop();
+    quote = `${lines.join('\n')}\n> …`;
+  }
+  return quote.length > maxLength ? `${quote.slice(0, maxLength - 1)}…` : quote;
+}
+
+// Insert an event into an array kept sorted by `compare`
+function insertSorted(sortedArray, event, compare) {
+  let position = sortedArray.findIndex(e => compare(event, e) < 0);
+  
+  if (position === -1) {
+    position = sortedArray.length;
+  }
+  
+  // Check if there's an element at the position and if it has the same ID
+  if (position < sortedArray.length && sortedArray[position] && sortedArray[position].id === event.id) {
+    return sortedArray; // Event already exists
+  }
+  
+  return [
+    ...sortedArray.slice(0, position), 
+    event, 
+    ...sortedArray.slice(position)
+  ];
+}
+
+// The bot as a library. Creating a Bridge only checks and loads its settings;
+// nothing connects, listens or is written until start() (or a one-off backfill
+// or doctor run), and stop() ends everything it started.
+//
+//   const bridge = new Bridge({ config: { identities, destinations, routes } });
+//   bridge.on('forwarded', ({ eventId, destination }) => …);
+//   await bridge.start();
+//   …
+//   await bridge.stop();
+//
+// Options, all optional:
+//   env        where the settings are read from (default process.env, see lib/settings.js)
+//   config     identities, destinations, routes… as in CONFIG_FILE, instead of CONFIG_FILE or the env vars
+//   log        a logger from lib/logger.js, instead of one made from LOG_LEVEL and LOG_FORMAT
+//   queueFile  instead of QUEUE_FILE; null keeps the delivery queue in memory
+//
+// Events:
+//   event         (event) every valid event received, before filter rules and routes
+//   forwarded     ({ eventId, kind, destination, method, messageId, deliveredAt }) a destination accepted a message
+//   dropped       ({ event, reason }) an event that isn't forwarded: invalid, a filter rule, trust, no route…
+//   relay:status  ({ relay, status, error }) a relay connected, dropped or was demoted
+class Bridge extends EventEmitter {
+  #runtime;
+
+  // Throws for invalid settings or config, with every problem listed
+  constructor(options = {}) {
+    super();
+    this.#runtime = createRuntime(this, options);
+  }
+
+  // The normalized config (identities, destinations, routes…)
+  get config() {
+    return this.#runtime.config;
+  }
+
+  // The bridge's logger, with its webhook URLs and tokens registered for redaction
+  get log() {
+    return this.#runtime.log;
+  }
+
+  // Connect, subscribe and start the admin and interactions servers; rejects if a server can't listen
+  start() {
+    return this.#runtime.start();
+  }
+
+  // Stop listening and wait up to `timeoutMs` (default SHUTDOWN_TIMEOUT_MS) for queued deliveries
+  stop(options) {
+    return this.#runtime.stop(options);
+  }
+
+  // Forward past events once, without start() (options as from parseBackfillArgs in lib/backfill.js)
+  backfill(options) {
+    return this.#runtime.backfill(options);
+  }
+
+  // Send dead letters again, recording them like live deliveries; resolves to the ones delivered
+  replay(entries) {
+    return this.#runtime.replay(entries);
+  }
+
+  // Check relays, destinations, profiles and recent events; resolves to true if nothing failed
+  doctor(options) {
+    return this.#runtime.doctor(options);
+  }
+
+  // Run one event through validation, filter rules, routes and delivery, as if a relay had sent it
+  forward(event) {
+    return this.#runtime.forward(event);
+  }
+}
+
+// Everything a Bridge runs on, built from `options` (see the class above). Invalid
+// settings or config throw here, before anything connects or touches the disk.
+function createRuntime(bridge, { env = process.env, config: rawConfig, log: injectedLog, queueFile: queueFileOption } = {}) {
+  // Configuration from environment variables, all checked up front (see lib/settings.js)
+  let settings;
+  try {
+    settings = loadSettings(env);
+  } catch (error) {
+    throw new Error(`Invalid settings: ${error.message}`);
+  }
+  const relayUrls = settings.NOSTR_RELAYS || DEFAULT_RELAYS.split(',');
+  // Also use the watched identities' NIP-65 relay lists (outbox model), up to this many relays per list
+  const relayDiscovery = settings.RELAY_DISCOVERY;
+  const maxDiscoveredRelays = settings.MAX_DISCOVERED_RELAYS;
+  // Failed connections in a row before a relay is demoted and only retried every 30 minutes
+  const relayDemoteAfter = settings.RELAY_DEMOTE_AFTER;
+  const checkIntervalMs = settings.CHECK_INTERVAL_MS;
+  // How long stop() waits for queued deliveries (Docker kills the container 10s after SIGTERM)
+  const shutdownTimeoutMs = settings.SHUTDOWN_TIMEOUT_MS;
+  const stateFile = settings.STATE_FILE;
+  const maxLookbackSeconds = settings.MAX_LOOKBACK_SECONDS;
+  // null keeps the queue in memory, so a one-off run doesn't take over the running bot's queue
+  const queueFile = queueFileOption !== undefined ? queueFileOption : settings.QUEUE_FILE;
+  const deadLetterFile = settings.DEAD_LETTER_FILE;
+  const deliveryMaxAttempts = settings.DELIVERY_MAX_ATTEMPTS;
+  const profileCacheTtlMs = settings.PROFILE_CACHE_TTL_MS;
+  const profileRefreshMs = settings.PROFILE_REFRESH_INTERVAL_MS;
+  // What to do with zap receipts that fail NIP-57 checks: flag, suppress or off
+  const zapValidation = settings.ZAP_VALIDATION;
+  const statsFile = settings.STATS_FILE;
+  const moderationFile = settings.MODERATION_FILE;
+  // Optional HTTP server for /healthz, /readyz, /metrics and (with a token) the admin API
+  const adminPort = settings.ADMIN_PORT;
+  const adminHost = settings.ADMIN_HOST;
+  const adminToken = settings.ADMIN_TOKEN;
+  // Optional Discord bot whose slash commands post to Nostr, signed with NOSTR_NSEC or a NIP-46 bunker
+  const discordApplicationId = settings.DISCORD_APPLICATION_ID;
+  const discordPublicKey = settings.DISCORD_PUBLIC_KEY;
+  const discordBotToken = settings.DISCORD_BOT_TOKEN;
+  const discordGuildId = settings.DISCORD_GUILD_ID;
+  const discordAllowedRoles = settings.DISCORD_ALLOWED_ROLES;
+  const interactionsPort = settings.DISCORD_INTERACTIONS_PORT;
+  const bridgeEnabled = Boolean(discordApplicationId && discordPublicKey);
+  // Optional private webhook for direct messages (NIP-04 and NIP-17) to the NOSTR_NSEC / bunker key
+  const dmWebhookUrl = settings.DM_WEBHOOK_URL;
+  // Only say who wrote, not what
+  const dmRedact = settings.DM_REDACT;
+  // Language of the built-in wording (a bundle in locales/ or a JSON file) and optional message templates
+  const locale = settings.LOCALE;
+  const templatesFile = settings.TEMPLATES_FILE;
+  // Extra formatter modules to load, comma-separated paths (see lib/formatters)
+  const formatterModules = settings.FORMATTER_MODULES;
+  // What to do with a Discord message when its event is deleted (NIP-09): delete, strike or off
+  const deletionMode = settings.DELETION_MODE;
+  // Log level, optionally per component (LOG_LEVEL=info,delivery:debug), and pretty or json lines.
+  // DEBUG=true is the older spelling of LOG_LEVEL=debug.
+  const logLevel = settings.LOG_LEVEL || (settings.DEBUG ? 'debug' : 'info');
+  const logFormat = settings.LOG_FORMAT;
+
+  // Bridges share the log settings, but a library user may bring a logger of their own
+  const levels = parseLogLevel(logLevel);
+  const log = injectedLog || createLogger({ level: levels.level, components: levels.components, format: logFormat });
+  // Components can be given their own level; events carry their ID from receipt to delivery
+  const relayLog = log.child({ component: 'relay' });
+  const subscriptionLog = log.child({ component: 'subscription' });
+  const formatterLog = log.child({ component: 'formatter' });
+  const deliveryLog = log.child({ component: 'delivery' });
+  const bridgeLog = log.child({ component: 'bridge' });
+  const dmLog = log.child({ component: 'dms' });
+
+  // Identities, destinations and routing rules (a config object, CONFIG_FILE or the single-user env vars)
+  let config;
+  try {
+    config = rawConfig ? configFromObject(rawConfig, env) : loadConfig(env);
+  } catch (error) {
+    throw new Error(`Invalid configuration: ${error.message}`);
+  }
+
+  // Webhook URLs, tokens and keys never show up in the logs, not even inside error messages
+  [dmWebhookUrl, discordBotToken, adminToken, env.NOSTR_NSEC, env.NOSTR_BUNKER_URL, env.NOSTR_BUNKER_CLIENT_KEY]
+    .concat(...Object.values(config.destinations).map(destination =>
+      [destination.url, destination.token, destination.accessToken].concat(Object.values(destination.headers || {}))))
+    .forEach(secret => log.addSecret(secret));
+
+  // Webhooks can post into threads, but only the bot user can open one in a text channel
+  const threadModes = Object.values(config.destinations).filter(destination => destination.threads);
+  if (threadModes.some(destination => destination.threads === 'channel') && !discordBotToken) {
+    throw new Error('Invalid configuration: threads "channel" needs DISCORD_BOT_TOKEN to open threads');
+  }
+
+  // Built-in wording and the operator's templates, both checked before anything connects
+  let t, templates;
+  try {
+    t = loadLocale(locale);
+    templates = templatesFile ? loadTemplates(templatesFile, config.routes.map(route => route.name)) : null;
+  } catch (error) {
+    throw new Error(`Invalid templates or locale: ${error.message}`);
+  }
+
+  // What this bridge is about to do, before it connects
+  function logStartup() {
+    log.info("=== NOSTR2DISCORD BOT STARTING ===");
+    log.info(`Config source: ${rawConfig ? 'config object' : env.CONFIG_FILE || 'environment variables'}`);
+    config.identities.forEach(identity => {
+      log.info(`Watching ${identity.name}: ${identity.pubkey} (kinds ${identity.kinds.join(', ')})`);
+    });
+    log.info(`Destinations: ${Object.values(config.destinations).map(destination => `${destination.name} (${destination.sink})`).join(', ')}`);
+    log.info(`Routes: ${config.routes.length}`);
+    config.digests.forEach(digest => {
+      log.info(`Digest ${digest.name}: "${digest.schedule}" → ${digest.destination} (${digest.sections.join(', ')})`);
+    });
+    log.info(`Connecting to relays: ${relayUrls.join(', ')}`);
+    log.info(`Relay discovery (NIP-65): ${relayDiscovery ? `on, up to ${maxDiscoveredRelays} per list` : 'off'}`);
+    log.info(`Event kinds: 1=text, 7=reaction, 9735=zap, 6=repost`);
+    log.info(`State file: ${stateFile} (max catch-up ${maxLookbackSeconds}s)`);
+    log.info(`Delivery queue: ${queueFile || 'in memory'}, dead letters: ${deadLetterFile} (max ${deliveryMaxAttempts} attempts)`);
+    log.info(`Filter rules: ${Object.keys(config.filters).join(', ') || 'none'}`);
+    log.info(`Zap validation: ${zapValidation}`);
+    log.info(`Deleted events: ${deletionMode}`);
+    if (Object.keys(config.coalesce).length > 0) {
+      log.info(`Coalescing: ${Object.entries(config.coalesce).map(([kind, setting]) => `kind ${kind} from ${setting.threshold} in ${setting.windowSeconds}s`).join(', ')}`);
+    }
+    if (threadModes.length > 0) {
+      log.info(`Threads: ${threadModes.map(destination => `${destination.name} (${destination.threads})`).join(', ')}`);
+    }
+    log.info(`Locale: ${locale}${templatesFile ? `, templates: ${templatesFile}` : ''}`);
+    if (config.trust.mode !== 'off') {
+      log.info(`Web of trust: ${config.trust.mode}, untrusted replies → ${config.trust.action}` +
+        (config.trust.action === 'downgrade' ? ` (${config.trust.downgradeDestination})` : '') +
+        (config.trust.action === 'moderate' ? ` (${moderationFile})` : ''));
+    }
+    if (bridgeEnabled) {
+      log.info(`Discord bridge: slash commands on port ${interactionsPort}, allowed roles ${discordAllowedRoles.join(', ') || 'none'}`);
+    }
+    log.info(`Direct messages: ${dmWebhookUrl ? `private webhook${dmRedact ? ', redacted' : ''}` : 'off'}`);
+    log.info(`Logging: ${logLevel} (${logFormat})`);
+    log.info("Starting Nostr2Discord...");
+  }
+
+  // Initialize a relay pool with longer timeout
+  const pool = new SimplePool({ eoseSubTimeout: 10000 }); // Increase EOSE timeout to 10s
+
+  // Signs what the Discord bridge publishes and decrypts direct messages
+  let signer = null;
+  if (bridgeEnabled || dmWebhookUrl) {
+    try {
+      if (bridgeEnabled && discordAllowedRoles.length === 0) {
+        throw new Error('set DISCORD_ALLOWED_ROLES to the role IDs that may post');
+      }
+      if (env.NOSTR_BUNKER_URL) {
+        signer = createRemoteSigner({
+          pool,
+          bunkerUrl: env.NOSTR_BUNKER_URL,
+          clientSecret: env.NOSTR_BUNKER_CLIENT_KEY,
+          log: bridgeLog
+        });
+      } else if (env.NOSTR_NSEC) {
+        signer = createLocalSigner(env.NOSTR_NSEC);
+      } else {
+        throw new Error('set NOSTR_NSEC or NOSTR_BUNKER_URL to sign events and read direct messages');
+      }
+    } catch (error) {
+      throw new Error(`Invalid Discord bridge or direct message settings: ${error.message}`);
+    }
+  }
+
+  // Per-relay subscriptions with reconnects, health stats and demotion of failing relays
+  const relaySupervisor = createRelaySupervisor({
+    pool,
+    demoteAfter: relayDemoteAfter,
+    onStatus: status => bridge.emit('relay:status', status),
+    log: relayLog
+  });
+  // Newest NIP-65 relay list per watched pubkey, kept when a refresh comes back empty
+  const relayLists = new Map();
+  // Key whose direct messages are forwarded, once the signer has told us
+  let dmPubkey = null;
+
+  // Client links, with the relays each event actually arrived from as nevent/naddr hints
+  const linkBuilder = createLinkBuilder({
+    providers: config.links.providers,
+    seenOn: id => relaySupervisor.seenOn(id),
+    fallbackRelays: relayUrls
+  });
+
+  // Persistent store for forwarded events and catch-up marks (survives restarts)
+  const processedEvents = createStateStore({ file: stateFile, log: log.child({ component: 'state' }) });
+
+  // Kind 0 profiles for owners, reactors, reposters, zappers and repliers
+  const profiles = createProfileCache({
+    pool,
+    relays: () => relaySupervisor.readRelays(),
+    ttlMs: profileCacheTtlMs,
+    log: log.child({ component: 'profiles' })
+  });
+  let profileWatch = null;
+
+  // Notes we've seen or looked up, so embeds can quote the post being reacted to
+  const notes = createNoteCache({ pool, relays: () => relaySupervisor.readRelays(), log: log.child({ component: 'notes' }) });
+
+  // Contact and mute lists of the watched identities, for follow-based filtering
+  const follows = createFollowGraph({
+    pool,
+    relays: () => relaySupervisor.readRelays(),
+    depth: config.trust.mode === 'follows-of-follows' ? 2 : 1,
+    log: log.child({ component: 'follows' })
+  });
+  const needsFollowGraph = config.filters.repliesFromFollowsOnly || config.trust.mode !== 'off';
+  let followRefresh = null;
+
+  // Kind -> Discord formatter; the classic kinds are defined below, the rest in lib/formatters
+  const formatters = createFormatterRegistry([
+    { kinds: [1], format: formatTextNote },
+    { kinds: [7], format: formatReaction },
+    { kinds: [9735], format: formatZap },
+    { kinds: [6], format: formatRepost }
+  ].concat(BUILTIN_FORMATTERS));
+  formatterModules.forEach(file => {
+    try {
+      formatters.register(require(path.resolve(file)));
+      formatterLog.info(`🧩 Loaded formatter ${file}`);
+    } catch (error) {
+      throw new Error(`Could not load formatter ${file}: ${error.message}`);
+    }
+  });
+
+  // Web-of-trust check for replies and mentions from strangers
+  const trustPolicy = createTrustPolicy(config.trust, follows);
+
+  // Declarative filter rules applied to every valid event before it is forwarded
+  const rules = createRulesEngine(config.filters, {
+    isFollowedBy: follows.isFollowedBy,
+    hasFollowList: follows.hasList
+  });
+
+  // Zaps, reactions and reposts kept for digests (long enough for the longest period)
+  const stats = config.digests.length > 0 ? createStatsStore({
+    file: statsFile,
+    retentionSeconds: Math.max(...config.digests.map(digest => digest.periodSeconds)) + 24 * 60 * 60,
+    log: log.child({ component: 'digest' })
+  }) : null;
+
+  // Prometheus metrics, served on /metrics when ADMIN_PORT is set
+  const metrics = createMetrics();
+  const eventsReceived = metrics.counter('events_received_total', 'Valid events received from relays', ['kind']);
+  const eventsForwarded = metrics.counter('events_forwarded_total', 'Messages Discord accepted', ['kind', 'destination', 'method']);
+  const eventsDropped = metrics.counter('events_dropped_total', 'Events not forwarded', ['kind', 'reason']);
+  const discordLatency = metrics.histogram('discord_request_duration_seconds', 'Discord webhook request duration', ['destination', 'method']);
+  const discordErrors = metrics.counter('discord_errors_total', 'Failed Discord webhook requests', ['destination', 'status']);
+  const deadLetters = metrics.counter('dead_letters_total', 'Messages parked in the dead-letter file', ['destination']);
+  metrics.gauge('delivery_queue_size', 'Messages waiting to be delivered', ['destination'], gauge => {
+    gauge.reset();
+    const counts = deliveryQueue.countByDestination();
+    Object.keys(config.destinations).forEach(name => gauge.set({ destination: name }, counts[name] || 0));
+  });
+  metrics.gauge('forwarding_paused', '1 while forwarding is paused through the admin API', [], gauge => {
+    gauge.set({}, deliveryQueue.paused ? 1 : 0);
+  });
+  metrics.gauge('relay_up', '1 if the relay is connected', ['relay', 'status'], gauge => {
+    gauge.reset();
+    relaySupervisor.stats().forEach(relay => gauge.set({ relay: relay.url, status: relay.status }, relay.status === 'connected' ? 1 : 0));
+  });
+  metrics.gauge('relay_events', 'Events the relay delivered since startup', ['relay'], gauge => {
+    relaySupervisor.stats().forEach(relay => gauge.set({ relay: relay.url }, relay.events));
+  });
+  metrics.gauge('relay_connect_latency_seconds', 'Time the last connection to the relay took', ['relay'], gauge => {
+    relaySupervisor.stats()
+      .filter(relay => relay.connectLatencyMs !== null)
+      .forEach(relay => gauge.set({ relay: relay.url }, relay.connectLatencyMs / 1000));
+  });
+
+  // Count an event that won't be forwarded and tell the bridge's listeners why
+  function drop(event, reason) {
+    eventsDropped.inc({ kind: event.kind, reason });
+    bridge.emit('dropped', { event, reason });
+  }
+
+  // Last messages Discord accepted, newest first, for the admin API
+  const RECENT_LIMIT = 500;
+  const recentForwarded = [];
+
+  // Set once the main subscription is running, for /readyz
+  let subscriptionActive = false;
+
+  // Lifecycle: timers and servers to end on stop(), and the stop in progress
+  let started = false;
+  let stopping = null;
+  const cleanups = [];
+  let subscribeRetry = null;
+
+  // Delivery keys counted in a summary that isn't delivered yet -> resolvers waiting for it
+  const summarized = new Map();
+
+  // A summary went out (or was given up on): its events count as forwarded, and whoever waits is told
+  function settleSummarized(keys, delivered) {
+    keys.forEach(key => {
+      if (delivered) processedEvents.markForwarded(key);
+      (summarized.get(key) || []).forEach(resolve => resolve(delivered));
+      summarized.delete(key);
+    });
+  }
+
+  // Durable outbound queue; an event only counts as forwarded once Discord accepts it
+  const deliveryQueue = createDeliveryQueue({
+    file: queueFile,
+    deadLetterFile: deadLetterFile,
+    maxAttempts: deliveryMaxAttempts,
+    onDelivered: item => {
+      const verb = { PATCH: 'updated', DELETE: 'deleted' }[item.method] || 'sent';
+      deliveryLog.info(`Successfully ${verb} event ${item.eventId.slice(0, 8)}... on Discord (${item.destination})`, { eventId: item.eventId, destination: item.destination });
+      processedEvents.markForwarded(item.key);
+      rememberMessage(item);
+      rememberThread(item);
+      if (item.meta && item.meta.forwards) {
+        settleSummarized(item.meta.forwards, true);
+      }
+      if (coalescer && item.meta && item.meta.coalesce && item.method === 'POST') {
+        coalescer.delivered(item.meta.coalesce, { messageId: item.messageId, threadId: item.threadId || (item.threadName ? item.channelId : null) });
+      }
+      const kind = item.meta && item.meta.kind !== undefined ? item.meta.kind : '';
+      eventsForwarded.inc({ kind, destination: item.destination, method: item.method || 'POST' });
+      const forwarded = {
+        eventId: item.eventId,
+        kind: kind === '' ? null : kind,
+        destination: item.destination,
+        method: item.method || 'POST',
+        messageId: item.messageId,
+        deliveredAt: new Date().toISOString()
+      };
+      recentForwarded.unshift(forwarded);
+      recentForwarded.splice(RECENT_LIMIT);
+      bridge.emit('forwarded', forwarded);
+    },
+    onDeadLetter: entry => {
+      deadLetters.inc({ destination: entry.destination });
+      if (entry.meta && entry.meta.forwards) {
+        settleSummarized(entry.meta.forwards, false);
+      }
+    },
+    // The message was deleted on Discord: forget it, so the next version is posted anew
+    onGone: item => {
+      forgetGoneMessage(item);
+      processedEvents.markForwarded(item.key);
+      if (item.meta && item.meta.forwards) {
+        settleSummarized(item.meta.forwards, true);
+      }
+      if (coalescer && item.meta && item.meta.coalesce) {
+        coalescer.delivered(item.meta.coalesce, { messageId: null, threadId: null });
+      }
+    },
+    onAttempt: (item, { status, durationMs }) => {
+      discordLatency.observe({ destination: item.destination, method: item.method || 'POST' }, durationMs / 1000);
+      if (status === 'network' || status >= 400) {
+        discordErrors.inc({ destination: item.destination, status });
+      }
+    },
+    prepare: resolveThread,
+    log: deliveryLog
+  });
+
+  // One summary message per note for bursts of reactions, reposts and zaps (COALESCE)
+  const coalescer = Object.keys(config.coalesce).length > 0
+    ? createCoalescer({ settings: config.coalesce, onFlush: postSummary })
+    : null;
+
+  // Keep the event → Discord message mapping current after each delivery
+  function rememberMessage(item) {
+    // Other sinks can't edit or delete what they posted, so there's nothing to look up later.
+    // Summaries aren't events; the coalescer keeps their message itself.
+    if (!item.meta || item.meta.coalesce || !getSink(item.sink).edits) return;
+    if (item.method === 'DELETE') {
+      item.meta.keys.forEach(key => processedEvents.forgetMessage(key));
+      return;
+    }
+    if (!item.messageId) return;
+    const info = {
+      messageId: item.messageId,
+      eventId: item.eventId,
+      pubkey: item.meta.pubkey,
+      createdAt: item.meta.createdAt,
+      address: item.meta.address,
+      identity: item.meta.identity,
+      channelId: item.channelId || null,
+      // A post that started a forum thread lives in that thread
+      threadId: item.threadId || (item.threadName ? item.channelId : null) || null
+    };
+    processedEvents.setMessage(`${item.destination}:${item.eventId}`, info);
+    if (item.meta.address) {
+      processedEvents.setMessage(`${item.destination}:${item.meta.address}`, info);
+    }
+  }
+
+  // Drop the event and address mappings that still point at a message deleted on Discord
+  function forgetGoneMessage(item) {
+    const keys = new Set([`${item.destination}:${item.eventId}`]);
+    if (item.meta && item.meta.address) keys.add(`${item.destination}:${item.meta.address}`);
+    Array.from(keys).forEach(key => {
+      const info = processedEvents.getMessage(key);
+      if (!info) return;
+      keys.add(`${item.destination}:${info.eventId}`);
+      if (info.address) keys.add(`${item.destination}:${info.address}`);
+    });
+    keys.forEach(key => {
+      const info = processedEvents.getMessage(key);
+      if (info && info.messageId === item.messageId) processedEvents.forgetMessage(key);
+    });
+  }
+
+  // A forum post started for a conversation becomes the thread its later messages go to
+  function rememberThread(item) {
+    const thread = item.meta && item.meta.thread;
+    if (!thread || item.method !== 'POST' || !item.threadName || !item.channelId) return;
+    processedEvents.setThread(`${item.destination}:${thread.root}`, item.channelId);
+    deliveryLog.info(`🧵 Started thread ${item.channelId} for conversation ${thread.root.slice(0, 8)}... on ${item.destination}`, { eventId: item.eventId, destination: item.destination });
+  }
+
+  // Pick the thread of a new message just before it is sent, so a reply queued right
+  // behind its root still finds the thread the root's post opened
+  async function resolveThread(item) {
+    const destination = config.destinations[item.destination];
+    if (!destination || !destination.threads || (item.method || 'POST') !== 'POST' || item.threadId) return;
+    const thread = item.meta && item.meta.thread;
+    if (thread) {
+      const key = `${item.destination}:${thread.root}`;
+      item.threadId = processedEvents.getThread(key) ||
+        (destination.threads === 'channel' ? await openChannelThread(item.destination, thread) : null);
+      if (item.threadId) return;
+    }
+    // A forum webhook can't post outside a thread, so anything else starts its own
+    if (destination.threads === 'forum' && !item.threadName) {
+      const embed = item.payload && item.payload.embeds && item.payload.embeds[0];
+      item.threadName = thread ? thread.name : threadName(embed && embed.title, item.payload.username || t('thread.untitled'));
+    }
+  }
+
+  // Open a thread on the text-channel message of a conversation's root; null if the
+  // root was never posted there (the reply then goes to the channel itself)
+  async function openChannelThread(destination, { root, name }) {
+    const key = `${destination}:${root}`;
+    const info = processedEvents.getMessage(key);
+    if (!info || !info.channelId) return null;
+    try {
+      const threadId = await startThread({ botToken: discordBotToken, channelId: info.channelId, messageId: info.messageId, name });
+      processedEvents.setThread(key, threadId);
+      deliveryLog.info(`🧵 Opened thread ${threadId} for conversation ${root.slice(0, 8)}... on ${destination}`, { destination });
+      return threadId;
+    } catch (error) {
+      deliveryLog.warn(`⚠️ Could not open a thread for ${root.slice(0, 8)}... on ${destination}, posting in the channel: ${error.message}`, { destination });
+      return null;
+    }
+  }
+
+  // Fetch (or refresh) the watched identities' own profiles
+  async function fetchUserMetadata() {
+    const pubkeys = config.identities.map(identity => identity.pubkey);
+    log.info(`🔍 Fetching profile metadata for ${pubkeys.length} pubkey(s)`);
+
+    await profiles.load(pubkeys, { force: true });
+
+    config.identities.forEach(identity => {
+      if (profiles.get(identity.pubkey)) {
+        log.info(`✅ Found user metadata: ${profiles.describe(identity.pubkey).name}`);
+      } else {
+        log.info(`⏱️ No metadata found for ${identity.name}, using default avatar`);
+      }
+    });
+  }
+
+  // Every pubkey whose profile an event's embed may show
+  function getEventActors(event) {
+    const actors = [event.pubkey].concat(getMentionedPubkeys(event.content));
+    const formatter = formatters.get(event.kind);
+    if (formatter && formatter.actors) {
+      actors.push(...formatter.actors(event));
+    }
+    if (event.kind === 9735) {
+      const zapRequest = parseZapRequest(event);
+      if (zapRequest && zapRequest.pubkey) {
+        actors.push(zapRequest.pubkey);
+      }
+    }
+    return actors;
+  }
+
+  // Parse the zap request embedded in a zap receipt's description tag
+  function parseZapRequest(event) {
+    const zapRequestTag = event.tags.find(tag => tag[0] === 'description');
+    if (!zapRequestTag || !zapRequestTag[1]) return null;
+    try {
+      return JSON.parse(zapRequestTag[1]);
+    } catch (e) {
+      formatterLog.debug('Could not parse zap request', { eventId: event.id });
+      return null;
+    }
+  }
+
+  // ID of the note an event points at (reaction/repost/zap target, or the note a reply answers)
+  function getReferencedEventId(event) {
+    const eTags = event.tags.filter(tag => tag[0] === 'e' && tag[1]);
+    if (eTags.length === 0) return null;
+
+    switch (event.kind) {
+      case 1: {
+        // NIP-10: the direct parent, falling back to the thread root
+        const thread = nip10.parse(event);
+        const parent = thread.reply || thread.root;
+        return parent ? parent.id : null;
+      }
+      case 7:
+        // NIP-25: the reacted-to note is the last e tag
+        return eTags[eTags.length - 1][1];
+      default:
+        return eTags[0][1];
+    }
+  }
+
+  // ID of the note that started the conversation an event belongs to (the event itself for a new note)
+  function getThreadRoot(event) {
+    if (event.kind === 1) {
+      const thread = nip10.parse(event);
+      const root = thread.root || thread.reply;
+      return root ? root.id : event.id;
+    }
+    const referenced = getReferencedEventId(event);
+    if (!referenced) return event.id;
+    const note = notes.get(referenced);
+    return note && note.kind === 1 ? getThreadRoot(note) : referenced;
+  }
+
+  // The conversation a message belongs in on a threaded destination, or null to post it in the channel.
+  // Text channels only thread replies; forum posts need a thread for everything.
+  function getThread(event, destination) {
+    if (!destination.threads) return null;
+    const root = getThreadRoot(event);
+    if (destination.threads === 'channel' && (event.kind !== 1 || root === event.id)) return null;
+    const rootNote = root === event.id ? event : notes.get(root);
+    const title = rootNote && rootNote.kind !== 1 ? (rootNote.tags.find(tag => tag[0] === 'title') || [])[1] : null;
+    const fallback = t('thread.name', { name: profiles.describe(rootNote ? rootNote.pubkey : event.pubkey).name });
+    return { root, name: threadName(title || (rootNote && rootNote.content), fallback) };
+  }
+
+  // The referenced note itself, from a repost's embedded JSON or the note cache
+  function getQuotedNote(event) {
+    if (event.kind === 6 || event.kind === 16) {
+      const embedded = parseRepostContent(event);
+      if (embedded) return embedded;
+    }
+    const eventId = getReferencedEventId(event);
+    return eventId ? notes.get(eventId) : null;
+  }
+
+  // Embed field quoting the referenced note, or null if we couldn't find it
+  function formatQuoteField(event) {
+    const quoted = getQuotedNote(event);
+    if (!quoted) return null;
+
+    const author = profiles.describe(quoted.pubkey);
+    const text = renderContent(quoted, getContentOptions(null, 300)).text || t('common.noText');
+    const viewLink = `[${t('common.viewNote')}](${getViewerLinks(quoted.id).preferredLink})`;
+    return {
+      name: t('common.quoteTitle', { name: author.name }),
+      value: `${quoteText(text, MAX_FIELD_LENGTH - viewLink.length - 1)}\n${viewLink}`
+    };
+  }
+
+  // Embed author block showing an actor's display name, NIP-05 and avatar
+  function formatActorAuthor(pubkey) {
+    const actor = profiles.describe(pubkey);
+    return {
+      name: actor.nip05 ? `${actor.name} (${actor.nip05})` : actor.name,
+      icon_url: actor.picture,
+      url: getEntityLink(actor.npub)
+    };
+  }
+
+  // Short markdown mention for an actor, linked to their profile
+  function formatActorMention(pubkey) {
+    const actor = profiles.describe(pubkey);
+    return `[${actor.name}](${getEntityLink(actor.npub)})`;
+  }
+
+  // Web link for any NIP-19 entity (profile, note or address) on the first link provider
+  function getEntityLink(bech32) {
+    return linkBuilder.entityLink(bech32);
+  }
+
+  // Markdown list of client links, e.g. "[Nostria](…) | [Primal](…)", cut to `maxLength`
+  function formatClientLinks(links, maxLength) {
+    return formatLinkList(links, maxLength);
+  }
+
+  // Options for rendering note content (mentions, hashtags, truncation)
+  function getContentOptions(readMoreUrl, maxLength) {
+    return {
+      describeProfile: pubkey => profiles.describe(pubkey),
+      linkFor: getEntityLink,
+      hashtagUrl: tag => `https://nostr.band/?q=${encodeURIComponent(`#${tag}`)}`,
+      readMoreUrl: readMoreUrl,
+      maxLength: maxLength,
+      labels: {
+        readMore: t('common.readMore'),
+        note: t('common.noteMention'),
+        article: t('common.article')
+      }
+    };
+  }
+
+  // Helpers handed to every formatter as its third argument
+  const formatContext = {
+    // Webhook username and avatar: the identity's own for its events, a notification name otherwise
+    sender: (event, identity, notificationName) => {
+      if (event.pubkey !== identity.pubkey) {
+        return { username: notificationName, avatar_url: DEFAULT_AVATAR };
+      }
+      const userMetadata = profiles.get(identity.pubkey);
+      return {
+        username: userMetadata?.name || userMetadata?.display_name || t('common.defaultUsername'),
+        avatar_url: userMetadata?.picture || DEFAULT_AVATAR
+      };
+    },
+    t: t,
+    renderContent: (event, { readMoreUrl, maxLength } = {}) => renderContent(event, getContentOptions(readMoreUrl, maxLength)),
+    actorAuthor: formatActorAuthor,
+    actorMention: formatActorMention,
+    quoteField: formatQuoteField,
+    entityLink: getEntityLink,
+    viewerLinks: getViewerLinks,
+    eventLink: eventId => getViewerLinks(eventId).preferredLink,
+    // naddr of an addressable event, its preferred link and the markdown links to every client
+    addressLink: event => {
+      const d = event.tags.find(tag => tag[0] === 'd');
+      const address = { kind: event.kind, pubkey: event.pubkey, identifier: d && d[1] ? d[1] : '' };
+      const naddr = coordinateToNaddr(`${address.kind}:${address.pubkey}:${address.identifier}`, linkBuilder.relayHints(event.id));
+      const links = linkBuilder.addressLinks(address, event.id);
+      if (links.length === 0) {
+        // None of the providers shows addresses, so fall back to njump
+        links.push({ label: 'njump', url: `https://njump.me/${naddr}` });
+      }
+      const room = MAX_FIELD_LENGTH - t('article.readOn', { links: '' }).length;
+      return { naddr, link: links[0].url, links, linksText: formatClientLinks(links, room) };
+    },
+    coordinateLink: coordinate => {
+      const naddr = coordinateToNaddr(coordinate, linkBuilder.relayHints());
+      return naddr ? getEntityLink(naddr) : null;
+    },
+    clientLinks: formatClientLinks
+  };
+
+  // Format different event types for Discord, from the point of view of a watched identity
+  function formatEventForDiscord(event, identity) {
+    const formatter = formatters.get(event.kind);
+    return formatter ? formatter.format(event, identity, formatContext) : formatGenericEvent(event, identity);
+  }
+
+  // Format text note (kind 1)
+  function formatTextNote(event, identity) {
+    const userMetadata = profiles.get(identity.pubkey);
+    const viewerLinks = getViewerLinks(event.id);
+    const timestamp = new Date(event.created_at * 1000).toISOString();
+
+    // Check if this is your post or someone replying to you
+    const isYourPost = event.pubkey === identity.pubkey;
+    const isReplyToYou = !isYourPost && event.tags.some(tag => tag[0] === 'p' && tag[1] === identity.pubkey);
+    // NIP-10 root/reply markers (or the old positional e tags) tell replies from new posts
+    const thread = nip10.parse(event);
+    const isReply = Boolean(thread.reply || thread.root);
+
+    let username, avatarUrl, footerText, embedColor;
+
+    if (isYourPost) {
+      // Your post
+      username = userMetadata?.name || userMetadata?.display_name || t('common.defaultUsername');
+      avatarUrl = userMetadata?.picture || DEFAULT_AVATAR;
+      footerText = isReply ? t('note.ownReplyFooter') : t('note.ownFooter');
+      embedColor = 3447003; // Blue
+    } else if (isReplyToYou) {
+      // Someone replied to you
+      username = t('note.replyUsername');
+      avatarUrl = DEFAULT_AVATAR;
+      footerText = t('note.replyFooter');
+      embedColor = 65280; // Green
+    } else {
+      // Fallback (shouldn't happen with current filters)
+      username = t('common.defaultUsername');
+      avatarUrl = DEFAULT_AVATAR;
+      footerText = t('note.otherFooter');
+      embedColor = 3447003; // Blue
+    }
+
+    // Resolve mentions and hashtags, pull images out, and keep within Discord's limit
+    const prefix = isReplyToYou ? t('note.replyPrefix') : '';
+    const rendered = renderContent(event, getContentOptions(viewerLinks.preferredLink, MAX_DESCRIPTION_LENGTH - prefix.length));
+
+    const embed = {
+      description: prefix + rendered.text,
+      color: embedColor,
+      timestamp: timestamp,
+      footer: { text: footerText },
+      fields: [{ name: t('common.links'), value: viewerLinks.linksText }]
+    };
+
+    // Show who replied, with their own name and avatar, and the note they answered
+    if (!isYourPost) {
+      embed.author = formatActorAuthor(event.pubkey);
+    }
+    if (!isYourPost || isReply) {
+      const quoteField = formatQuoteField(event);
+      if (quoteField) {
+        embed.fields.unshift(quoteField);
+      }
+    }
+
+    return {
+      username: username,
+      avatar_url: avatarUrl,
+      embeds: attachImages(embed, rendered.images, viewerLinks.preferredLink)
+    };
+  }
+
+  // Format reaction (kind 7)
+  function formatReaction(event, identity) {
+    const content = event.content || "👍";
+    const timestamp = new Date(event.created_at * 1000).toISOString();
+
+    // Get reactor's info (who made the reaction)
+    const reactorPubkey = event.pubkey;
+
+    // Try to find the post being reacted to
+    let reactedToPost = t('common.yourPost');
+    const eventId = getReferencedEventId(event);
+    if (eventId) {
+      reactedToPost = `[${t('common.yourPost')}](${getViewerLinks(eventId).preferredLink})`;
+    }
+
+    const embed = {
+      author: formatActorAuthor(reactorPubkey),
+      description: t('reaction.description', { actor: formatActorMention(reactorPubkey), emoji: content, target: reactedToPost }),
+      color: 16776960, // Yellow
+      timestamp: timestamp,
+      footer: { text: t('reaction.footer') }
+    };
+
+    const quoteField = formatQuoteField(event);
+    if (quoteField) {
+      embed.fields = [quoteField];
+    }
+
+    return {
+      username: t('reaction.username'),
+      avatar_url: DEFAULT_AVATAR,
+      embeds: [embed]
+    };
+  }
+
+  // Format zap (kind 9735)
+  function formatZap(event, identity) {
+    const userMetadata = profiles.get(identity.pubkey);
+    const timestamp = new Date(event.created_at * 1000).toISOString();
+    const username = userMetadata?.name || userMetadata?.display_name || t('common.defaultUsername');
+    const avatarUrl = userMetadata?.picture || DEFAULT_AVATAR;
+
+    // Decode the invoice and check the receipt against its zap request (NIP-57)
+    const zap = checkZap(event, identity);
+    const zapAmount = zap.amountMsat !== null ? t('zap.amount', { sats: t.number(Math.floor(zap.amountMsat / 1000)) }) : t('zap.unknownAmount');
+    const zapNote = zap.comment;
+
+    // Anonymous zaps are signed with a throwaway key, so don't show it
+    const isAnonymous = zap.zapRequest && (zap.zapRequest.tags || []).some(tag => tag[0] === 'anon');
+    const zapSenderPubkey = isAnonymous ? null : zap.senderPubkey;
+    const zapSender = zapSenderPubkey ? formatActorMention(zapSenderPubkey) : t('common.anonymous');
+
+    const embed = {
+      description: t('zap.description', { amount: zapAmount, sender: zapSender }) + (zapNote ? `\n\n${t('zap.comment', { comment: zapNote })}` : ''),
+      color: 16753920, // Orange
+      timestamp: timestamp,
+      footer: { text: t('zap.footer') }
+    };
+
+    if (zapSenderPubkey) {
+      embed.author = formatActorAuthor(zapSenderPubkey);
+    }
+
+    const quoteField = formatQuoteField(event);
+    if (quoteField) {
+      embed.fields = [quoteField];
+    }
+
+    // Make forged or mismatched receipts obvious
+    if (!zap.valid && zapValidation === 'flag') {
+      embed.color = 15158332; // Red
+      embed.fields = (embed.fields || []).concat([{ name: t('zap.unverified'), value: zap.problems.join('\n') }]);
+    }
+
+    return {
+      username: username,
+      avatar_url: avatarUrl,
+      embeds: [embed]
+    };
+  }
+
+  // Validate a zap receipt for the identity it was sent to
+  function checkZap(event, identity) {
+    return validateZapReceipt(event, {
+      recipientPubkey: identity.pubkey,
+      providerPubkey: identity.zapProviderPubkey
+    });
+  }
+
+  // Format repost (kind 6)
+  function formatRepost(event, identity) {
+    const timestamp = new Date(event.created_at * 1000).toISOString();
+
+    // Get reposter's info
+    const reposterPubkey = event.pubkey;
+
+    let repostedContent = t('common.yourPost');
+    const eventId = getReferencedEventId(event);
+    if (eventId) {
+      repostedContent = `[${t('common.yourPost')}](${getViewerLinks(eventId).preferredLink})`;
+    }
+
+    const embed = {
+      author: formatActorAuthor(reposterPubkey),
+      description: t('repost.description', { actor: formatActorMention(reposterPubkey), target: repostedContent }),
+      color: 3066993, // Green
+      timestamp: timestamp,
+      footer: { text: t('repost.footer') }
+    };
+
+    const quoteField = formatQuoteField(event);
+    if (quoteField) {
+      embed.fields = [quoteField];
+    }
+
+    return {
+      username: t('repost.username'),
+      avatar_url: DEFAULT_AVATAR,
+      embeds: [embed]
+    };
+  }
+
+  // Format generic event
+  function formatGenericEvent(event, identity) {
+    const userMetadata = profiles.get(identity.pubkey);
+    const timestamp = new Date(event.created_at * 1000).toISOString();
+    const username = userMetadata?.name || userMetadata?.display_name || t('common.defaultUsername');
+    const avatarUrl = userMetadata?.picture || DEFAULT_AVATAR;
+
+    const embed = {
+      description: t('generic.description', { kind: event.kind, content: event.content?.substring(0, 200) || t('generic.noContent') }),
+      color: 9936031, // Purple
+      timestamp: timestamp,
+      footer: { text: t('generic.footer', { kind: event.kind }) }
+    };
+
+    return {
+      username: username,
+      avatar_url: avatarUrl,
+      embeds: [embed]
+    };
+  }
+
+  // Format an event, then apply the operator's template for its kind, direction and route
+  function formatForDiscord(event, identity, route) {
+    const payload = formatEventForDiscord(event, identity);
+    const template = templates && findTemplate(templates, {
+      kind: event.kind,
+      direction: event.pubkey === identity.pubkey ? 'own' : 'inbound',
+      route: route ? route.name : null
+    });
+    return template ? applyTemplate(payload, template, getTemplateVars(event, identity)) : payload;
+  }
+
+  // Payload for a destination: Discord's from the formatters and templates, the other sinks' from the neutral message
+  function formatForDestination(destination, event, identity, route) {
+    const sink = getSink(destination.sink);
+    return sink.name === 'discord' ? formatForDiscord(event, identity, route) : sink.render(buildMessage(event, identity), destination);
+  }
+
+  // Neutral message for the sinks that aren't Discord (the fields are listed in lib/sinks/index.js)
+  function buildMessage(event, identity) {
+    const describe = pubkey => {
+      const profile = profiles.describe(pubkey);
+      return { name: profile.name, nip05: profile.nip05 || null, picture: profile.picture, link: getEntityLink(profile.npub) };
+    };
+    const links = linkBuilder.eventLinks(event.id);
+    const message = {
+      eventId: event.id,
+      kind: event.kind,
+      createdAt: event.created_at,
+      identity: identity.name,
+      action: 'event',
+      title: '',
+      actor: describe(event.pubkey),
+      content: '',
+      quote: null,
+      media: [],
+      links: links,
+      amount: null,
+      notice: null
+    };
+
+    if (event.kind === 1) {
+      const thread = nip10.parse(event);
+      const rendered = renderContent(event, getContentOptions(links[0].url, 3000));
+      message.action = thread.reply || thread.root ? 'reply' : 'note';
+      message.content = rendered.text;
+      message.media = rendered.images;
+    } else if (event.kind === 7) {
+      message.action = 'reaction';
+    } else if (event.kind === 6 || event.kind === 16) {
+      message.action = 'repost';
+    } else if (event.kind === 9735) {
+      const zap = checkZap(event, identity);
+      const isAnonymous = zap.zapRequest && (zap.zapRequest.tags || []).some(tag => tag[0] === 'anon');
+      const sender = isAnonymous ? null : zap.senderPubkey;
+      const sats = zap.amountMsat !== null ? Math.floor(zap.amountMsat / 1000) : null;
+      message.action = 'zap';
+      message.actor = sender ? describe(sender) : null;
+      message.amount = { sats: sats, comment: zap.comment || '', verified: zap.valid };
+      message.content = zap.comment ? t('zap.comment', { comment: zap.comment }) : '';
+      if (!zap.valid && zapValidation === 'flag') {
+        message.notice = `${t('zap.unverified')}: ${zap.problems.join('; ')}`;
+      }
+    } else {
+      // Other kinds reuse what their formatter puts in the embed
+      const embed = formatEventForDiscord(event, identity).embeds[0] || {};
+      message.content = [embed.title ? `**${embed.title}**` : '', embed.description || ''].filter(Boolean).join('\n\n');
+      message.media = embed.image ? [embed.image.url] : [];
+    }
+
+    const name = message.actor ? message.actor.name : t('common.anonymous');
+    message.title = t(`sink.${message.action}`, {
+      name: name,
+      kind: event.kind,
+      emoji: event.content === '+' || !event.content ? '👍' : event.content,
+      amount: message.amount && message.amount.sats !== null ? t('zap.amount', { sats: t.number(message.amount.sats) }) : t('zap.unknownAmount')
+    });
+
+    message.quote = message.action === 'note' ? null : buildQuote(getQuotedNote(event));
+    return message;
+  }
+
+  // Neutral-message quote of a referenced note, or null if we couldn't find it
+  function buildQuote(quoted) {
+    if (!quoted) return null;
+    return {
+      title: t('common.quoteTitle', { name: profiles.describe(quoted.pubkey).name }),
+      text: renderContent(quoted, getContentOptions(null, 300)).text || t('common.noText'),
+      link: getViewerLinks(quoted.id).preferredLink,
+      linkLabel: t('common.viewNote')
+    };
+  }
+
+  // Hand a reaction, repost or zap to the coalescer; true if it went into a summary instead of its own message
+  function coalesceEvent(event, identity, destination, key) {
+    const entry = {
+      key: key,
+      destination: destination.name,
+      target: getReferencedEventId(event),
+      identity: identity.name,
+      event: event,
+      editable: getSink(destination.sink).edits,
+      actor: event.pubkey
+    };
+    if (event.kind === 7) {
+      entry.emoji = event.content === '+' || !event.content ? '👍' : event.content;
+    }
+    if (event.kind === 9735) {
+      const zap = checkZap(event, identity);
+      // Unverified zaps keep their own message, with its warning
+      if (!zap.valid) return false;
+      const isAnonymous = zap.zapRequest && (zap.zapRequest.tags || []).some(tag => tag[0] === 'anon');
+      entry.actor = isAnonymous ? null : zap.senderPubkey;
+      entry.sats = zap.amountMsat ? Math.floor(zap.amountMsat / 1000) : 0;
+    }
+    return coalescer.add(entry);
+  }
+
+  // "👍 ×23, 🤙 ×7, 5 repost(s), 2,100 sats from 4 zapper(s)"
+  function formatSummaryCounts(group) {
+    const parts = Array.from(group.reactions.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([emoji, count]) => t('coalesce.reactions', { emoji, count: t.number(count) }));
+    if (group.reposts > 0) {
+      parts.push(t('coalesce.reposts', { count: t.number(group.reposts) }));
+    }
+    if (group.zaps > 0) {
+      parts.push(t('coalesce.zaps', { sats: t.number(group.sats), zappers: t.number(group.zappers.size) }));
+    }
+    return parts.join(', ');
+  }
+
+  // Discord summary of a coalesced burst
+  function formatSummary(group) {
+    const embed = {
+      description: t('coalesce.description', {
+        counts: formatSummaryCounts(group),
+        target: `[${t('common.yourPost')}](${getViewerLinks(group.target).preferredLink})`
+      }),
+      color: 10181046, // Purple
+      timestamp: new Date().toISOString(),
+      footer: { text: t('coalesce.footer') },
+      fields: []
+    };
+    if (group.actors.length > 0) {
+      embed.fields.push({ name: t('coalesce.latest'), value: group.actors.map(formatActorMention).join(', ') });
+    }
+    const quoteField = formatQuoteField(group.sample);
+    if (quoteField) {
+      embed.fields.push(quoteField);
+    }
+    return {
+      username: t('coalesce.username'),
+      avatar_url: DEFAULT_AVATAR,
+      embeds: [embed]
+    };
+  }
+
+  // Neutral message for a coalesced burst
+  function buildSummaryMessage(group) {
+    const latest = group.actors.length > 0
+      ? `\n\n${t('coalesce.latest')}: ${group.actors.map(formatActorMention).join(', ')}`
+      : '';
+    return {
+      eventId: group.target,
+      kind: null,
+      createdAt: Math.floor(Date.now() / 1000),
+      identity: group.identity,
+      action: 'summary',
+      title: t('sink.summary'),
+      actor: null,
+      content: formatSummaryCounts(group) + latest,
+      quote: buildQuote(getQuotedNote(group.sample)),
+      media: [],
+      links: linkBuilder.eventLinks(group.target),
+      amount: group.zaps > 0 ? { sats: group.sats, comment: '', verified: true } : null,
+      notice: null
+    };
+  }
+
+  // Post a burst's summary, or edit the one already posted; a version still waiting in the queue is replaced
+  function postSummary(group) {
+    const destination = config.destinations[group.destination];
+    if (!destination) return;
+    const sink = getSink(destination.sink);
+    const payload = sink.name === 'discord' ? formatSummary(group) : sink.render(buildSummaryMessage(group), destination);
+    const key = group.messageId ? `${group.key}:edit` : group.key;
+    // Every event the summary counts so far, marked as forwarded once it is delivered
+    const meta = group.messageId
+      ? { coalesce: group.key, forwards: group.keys.slice() }
+      : { coalesce: group.key, thread: getThread(group.sample, destination), forwards: group.keys.slice() };
+    if (deliveryQueue.update(key, payload, meta)) return;
+
+    deliveryQueue.enqueue(Object.assign({ sink: sink.name }, sink.target(destination), {
+      key: key,
+      payload: payload,
+      eventId: group.target,
+      destination: destination.name,
+      method: group.messageId ? 'PATCH' : 'POST',
+      messageId: group.messageId,
+      threadId: group.threadId,
+      meta: meta
+    }));
+  }
+
+  // Placeholder values for message templates (see lib/templates.js for the list)
+  function getTemplateVars(event, identity) {
+    const profileVars = pubkey => {
+      const profile = profiles.describe(pubkey);
+      return {
+        name: profile.name,
+        npub: profile.npub,
+        nip05: profile.nip05 || '',
+        picture: profile.picture,
+        link: getEntityLink(profile.npub),
+        mention: formatActorMention(pubkey)
+      };
+    };
+
+    const tags = {};
+    event.tags.forEach(tag => {
+      if (tag[1] !== undefined && !(tag[0] in tags)) tags[tag[0]] = tag[1];
+    });
+
+    const quoted = getQuotedNote(event);
+    const vars = {
+      kind: event.kind,
+      id: event.id,
+      time: `<t:${event.created_at}:f>`,
+      actor: profileVars(event.pubkey),
+      owner: Object.assign(profileVars(identity.pubkey), { identity: identity.name }),
+      note: {
+        content: renderContent(event, getContentOptions(null, 3000)).text,
+        link: getViewerLinks(event.id).preferredLink,
+        id: event.id
+      },
+      target: quoted ? {
+        content: renderContent(quoted, getContentOptions(null, 1000)).text,
+        link: getViewerLinks(quoted.id).preferredLink,
+        id: quoted.id,
+        author: profiles.describe(quoted.pubkey).name
+      } : {},
+      zap: {},
+      reaction: {},
+      tags: tags
+    };
+
+    if (event.kind === 9735) {
+      const zap = checkZap(event, identity);
+      const isAnonymous = zap.zapRequest && (zap.zapRequest.tags || []).some(tag => tag[0] === 'anon');
+      const sender = isAnonymous ? null : zap.senderPubkey;
+      // The receipt is signed by the LNURL server, so the zapper is the "actor"
+      if (sender) vars.actor = profileVars(sender);
+      vars.zap = {
+        sats: zap.amountMsat !== null ? t.number(Math.floor(zap.amountMsat / 1000)) : '',
+        comment: zap.comment || '',
+        sender: sender ? formatActorMention(sender) : t('common.anonymous'),
+        valid: zap.valid ? '✅' : '⚠️'
+      };
+    }
+    if (event.kind === 7) {
+      vars.reaction = { emoji: event.content === '+' || !event.content ? '👍' : event.content };
+    }
+    return vars;
+  }
+
+  // Links to the event on each configured client; the first provider's link is the preferred one
+  function getViewerLinks(eventId) {
+    const links = linkBuilder.eventLinks(eventId);
+    const linksText = links.length === 1
+      ? t('common.viewOnClient', { client: links[0].label, link: links[0].url })
+      : t('common.viewOn', { links: formatClientLinks(links, MAX_FIELD_LENGTH - t('common.viewOn', { links: '' }).length) });
+    return { linksText, preferredLink: links[0].url };
+  }
+
+  // Queue event for every destination its routes match (resolves true once all are queued).
+  // `trust` is the web-of-trust verdict: downgraded events go to the quiet webhook only,
+  // moderated ones are held for an operator instead of being queued.
+  // `resend` posts the event again even where it was already forwarded (admin API, backfill --force);
+  // `dryRun` prints the messages instead of queueing them; `summaries` is as for processEvent.
+  async function sendToDiscord(event, { trust = 'pass', reason, resend = false, dryRun = false, summaries = null } = {}) {
+    if (!resend && !dryRun) {
+      recordStats(event);
+    }
+
+    let deliveries = resolveDeliveries(config, event);
+
+    // Drop zaps that fail validation for the identity they claim to pay
+    if (event.kind === 9735 && zapValidation === 'suppress') {
+      deliveries = deliveries.filter(delivery => {
+        const zap = checkZap(event, delivery.identity);
+        if (!zap.valid) {
+          drop(event, 'unverified_zap');
+          subscriptionLog.info(`🚫 Suppressing unverified zap ${event.id.slice(0, 8)}... for ${delivery.identity.name}: ${zap.problems.join('; ')}`, { eventId: event.id });
+        }
+        return zap.valid;
+      });
+    }
+
+    if (deliveries.length === 0) {
+      drop(event, 'no_route');
+      subscriptionLog.info(`Event ${event.id.slice(0, 8)}... matches no route, skipping`, { eventId: event.id });
+      return true;
+    }
+
+    if (trust === 'downgrade') {
+      deliveries = [Object.assign({}, deliveries[0], { destination: config.destinations[config.trust.downgradeDestination] })];
+    }
+
+    // Resolve the quoted note and everyone the embeds will mention before formatting
+    const embedded = event.kind === 6 || event.kind === 16 ? parseRepostContent(event) : null;
+    if (embedded) {
+      notes.remember(embedded);
+    } else {
+      await notes.load([getReferencedEventId(event)]);
+    }
+    // Threaded destinations name a conversation's thread after its first note
+    if (deliveries.some(({ destination }) => destination.threads)) {
+      await notes.load([getThreadRoot(event)].filter(id => id !== event.id));
+    }
+    const quoted = getQuotedNote(event);
+    await profiles.load(getEventActors(event).concat(quoted ? [quoted.pubkey].concat(getMentionedPubkeys(quoted.content)) : []));
+
+    if (trust === 'moderate' && dryRun) {
+      log.info(`🧪 Dry run: event ${event.id.slice(0, 8)}... would be held for moderation: ${reason}`, { eventId: event.id });
+      return true;
+    }
+    if (trust === 'moderate') {
+      drop(event, 'held_for_moderation');
+      return holdForModeration(event, deliveries, reason);
+    }
+
+    const results = await Promise.all(deliveries.map(delivery => deliverToWebhook(event, delivery, { resend, dryRun, summaries })));
+    return results.every(Boolean);
+  }
+
+  // Queue one event for one destination, unless it was already sent or is still waiting there.
+  // A newer version of a replaceable event edits the message of the version before it.
+  async function deliverToWebhook(event, { identity, destination, route }, { resend = false, dryRun = false, summaries = null } = {}) {
+    // A resend gets its own key, so it is queued even though the event was forwarded before
+    const deliveryKey = resend ? `${destination.name}:${event.id}:resend:${Date.now()}` : `${destination.name}:${event.id}`;
+
+    try {
+      if (processedEvents.hasForwarded(deliveryKey) || deliveryQueue.has(deliveryKey) || summarized.has(deliveryKey)) {
+        deliveryLog.info(`Event ${event.id.slice(0, 8)}... already sent to ${destination.name}, skipping`, { eventId: event.id, destination: destination.name });
+        return true;
+      }
+
+      // Counted as forwarded only once a summary naming it is delivered (see onDelivered)
+      if (coalescer && !resend && !dryRun && coalesceEvent(event, identity, destination, deliveryKey)) {
+        summarized.set(deliveryKey, summarized.get(deliveryKey) || []);
+        if (summaries) {
+          summaries.push(new Promise(resolve => summarized.get(deliveryKey).push(resolve)));
+        }
+        deliveryLog.info(`➕ Event ${event.id.slice(0, 8)}... counted in the summary for ${getReferencedEventId(event).slice(0, 8)}... on ${destination.name}`, { eventId: event.id, destination: destination.name });
+        return true;
+      }
+
+      const sink = getSink(destination.sink);
+      const address = getEventAddress(event);
+      const previous = address && !resend && sink.edits ? processedEvents.getMessage(`${destination.name}:${address}`) : null;
+      if (previous && previous.createdAt >= event.created_at) {
+        deliveryLog.info(`Event ${event.id.slice(0, 8)}... is an older version of ${address}, skipping`, { eventId: event.id, destination: destination.name });
+        return true;
+      }
+
+      let payload;
+      try {
+        payload = formatForDestination(destination, event, identity, route);
+      } catch (error) {
+        formatterLog.error(`❌ Could not format event ${event.id.slice(0, 8)}... (kind ${event.kind}) for ${destination.name}`, { eventId: event.id, destination: destination.name, error });
+        return false;
+      }
+      formatterLog.trace(`Payload for ${destination.name}: ${JSON.stringify(payload)}`, { eventId: event.id, destination: destination.name });
+      const thread = previous ? null : getThread(event, destination);
+
+      if (dryRun) {
+        const where = thread ? ` (thread "${thread.name}")` : '';
+        log.info(`🧪 Dry run: ${previous ? 'PATCH' : 'POST'} to ${destination.name}${where} for event ${event.id.slice(0, 8)}...\n${JSON.stringify(payload, null, 2)}`, { eventId: event.id, destination: destination.name });
+        return true;
+      }
+
+      deliveryQueue.enqueue(Object.assign({ sink: sink.name }, sink.target(destination), {
+        key: deliveryKey,
+        payload: payload,
+        eventId: event.id,
+        destination: destination.name,
+        method: previous ? 'PATCH' : 'POST',
+        messageId: previous ? previous.messageId : null,
+        // Edits go to the thread the earlier version was posted in; new messages pick theirs when sent
+        threadId: previous ? previous.threadId : null,
+        meta: { pubkey: event.pubkey, kind: event.kind, createdAt: event.created_at, address: address, identity: identity.name, thread: thread }
+      }));
+      return true;
+    } catch (error) {
+      deliveryLog.error(`Error queueing event for Discord (${destination.name})`, { eventId: event.id, destination: destination.name, error });
+    }
+    return false;
+  }
+
+  // Delete (or strike through) the Discord messages of the events a kind 5 deletion names
+  async function mirrorDeletion(deletion) {
+    if (deletionMode === 'off') return true;
+    const { ids, addresses } = getDeletionTargets(deletion);
+
+    // Find every posted message the deletion's author is allowed to remove
+    const targets = [];
+    Object.keys(config.destinations).forEach(name => {
+      ids.map(id => `${name}:${id}`).concat(addresses.map(address => `${name}:${address}`)).forEach(key => {
+        const info = processedEvents.getMessage(key);
+        if (!info || info.pubkey !== deletion.pubkey || info.createdAt > deletion.created_at) return;
+        if (targets.some(target => target.destination === name && target.info.messageId === info.messageId)) return;
+        targets.push({ destination: name, info });
+      });
+    });
+    if (targets.length === 0) {
+      deliveryLog.debug(`Deletion ${deletion.id.slice(0, 8)}... names no message we posted`, { eventId: deletion.id });
+      return true;
+    }
+
+    if (deletionMode === 'strike') {
+      await notes.load(targets.map(target => target.info.eventId));
+    }
+    const deletedNote = deletion.content
+      ? t('common.deletedWithReason', { reason: deletion.content.slice(0, 200) })
+      : t('common.deleted');
+
+    targets.forEach(({ destination, info }) => {
+      const original = notes.get(info.eventId);
+      const identity = config.identities.find(other => other.name === info.identity) || config.identities[0];
+      const strikeable = deletionMode === 'strike' && original;
+      if (deletionMode === 'strike' && !original) {
+        deliveryLog.info(`Original of ${info.eventId.slice(0, 8)}... is gone, deleting its message instead of striking it`, { eventId: info.eventId, destination });
+      }
+      const keys = [`${destination}:${info.eventId}`].concat(info.address ? [`${destination}:${info.address}`] : []);
+
+      deliveryLog.info(`🗑️ Event ${info.eventId.slice(0, 8)}... was deleted by its author, ${strikeable ? 'striking' : 'deleting'} its message on ${destination}`, { eventId: info.eventId, destination });
+      const sink = getSink(config.destinations[destination].sink);
+      deliveryQueue.enqueue(Object.assign({ sink: sink.name }, sink.target(config.destinations[destination]), {
+        key: `${destination}:${deletion.id}:${info.messageId}`,
+        payload: strikeable ? strikeThrough(formatForDiscord(original, identity), deletedNote) : null,
+        eventId: info.eventId,
+        destination: destination,
+        method: strikeable ? 'PATCH' : 'DELETE',
+        messageId: info.messageId,
+        threadId: info.threadId,
+        // Struck messages keep their mapping, so a later edit or deletion still finds them
+        meta: strikeable ? null : { keys }
+      }));
+    });
+    return true;
+  }
+
+  // Park an untrusted event with its ready-made messages until an operator approves it
+  function holdForModeration(event, deliveries, reason) {
+    try {
+      if (readModeration(moderationFile).some(entry => entry.eventId === event.id)) {
+        return true;
+      }
+      const pending = deliveries.filter(({ destination }) => !processedEvents.hasForwarded(`${destination.name}:${event.id}`));
+      if (pending.length === 0) return true;
+
+      appendModeration(moderationFile, {
+        eventId: event.id,
+        kind: event.kind,
+        author: event.pubkey,
+        authorName: profiles.describe(event.pubkey).name,
+        content: (event.content || '').slice(0, 280),
+        reason: reason,
+        heldAt: Date.now(),
+        deliveries: pending.map(({ identity, destination, route }) => {
+          // Approval runs in another process, so the thread is looked up now
+          const thread = getThread(event, destination);
+          const threadId = thread ? processedEvents.getThread(`${destination.name}:${thread.root}`) : null;
+          const sink = getSink(destination.sink);
+          return Object.assign({ sink: sink.name }, sink.target(destination), {
+            key: `${destination.name}:${event.id}`,
+            destination: destination.name,
+            payload: formatForDestination(destination, event, identity, route),
+            threadId: threadId,
+            threadName: destination.threads === 'forum' && !threadId ? thread.name : null,
+            // Like a live delivery, so an approved post's message and thread are remembered
+            meta: { pubkey: event.pubkey, kind: event.kind, createdAt: event.created_at, address: getEventAddress(event), identity: identity.name, thread: thread }
+          });
+        })
+      });
+      log.info(`⏸️ Holding event ${event.id.slice(0, 8)}... for moderation: ${reason}`, { eventId: event.id });
+      return true;
+    } catch (error) {
+      log.error('Error holding event for moderation', { eventId: event.id, error });
+    }
+    return false;
+  }
+
+  // Remember zaps, reactions and reposts for digests, even ones no route posts on their own
+  function recordStats(event) {
+    if (!stats || ![9735, 7, 6, 16].includes(event.kind)) return;
+
+    matchIdentities(config, event)
+      .filter(match => match.direction === 'inbound')
+      .forEach(({ identity }) => {
+        const record = {
+          id: event.id,
+          at: event.created_at,
+          identity: identity.pubkey,
+          actor: event.pubkey,
+          target: getReferencedEventId(event)
+        };
+
+        if (event.kind === 9735) {
+          const zap = checkZap(event, identity);
+          if (!zap.valid && zapValidation !== 'off') return;
+          const isAnonymous = zap.zapRequest && (zap.zapRequest.tags || []).some(tag => tag[0] === 'anon');
+          Object.assign(record, { type: 'zap', actor: isAnonymous ? null : zap.senderPubkey, amountMsat: zap.amountMsat || 0 });
+        } else if (event.kind === 7) {
+          Object.assign(record, { type: 'reaction', emoji: event.content === '+' || !event.content ? '👍' : event.content });
+        } else {
+          record.type = 'repost';
+        }
+        stats.add(record);
+      });
+  }
+
+  // Build a digest for the period ending now and queue it for its webhook
+  async function postDigest(digest, now) {
+    const until = Math.floor(now.getTime() / 1000);
+    const since = until - digest.periodSeconds;
+    const records = stats.query({ since, until, identities: digest.pubkeys });
+
+    // Fetch the notes and people the digest will name
+    await notes.load(records.map(record => record.target));
+    await profiles.load(records.map(record => record.actor));
+
+    const periodLabel = { 86400: t('digest.period.daily'), 604800: t('digest.period.weekly') }[digest.periodSeconds] ||
+      t('digest.period.hours', { hours: Math.round(digest.periodSeconds / 3600) });
+    const embed = buildDigest(records, {
+      title: digest.title || t('digest.title', { period: periodLabel }),
+      sections: digest.sections,
+      top: digest.top,
+      since: since,
+      until: until,
+      helpers: {
+        t: t,
+        mention: formatActorMention,
+        noteLabel: id => {
+          const note = notes.get(id);
+          const snippet = note ? renderContent(note, getContentOptions(null, 40)).text.replace(/\n+/g, ' ') : '';
+          return `[${snippet || t('common.note')}](${getViewerLinks(id).preferredLink})`;
+        }
+      }
+    });
+
+    const destination = config.destinations[digest.destination];
+    deliveryQueue.enqueue({
+      key: `digest:${digest.name}:${until}`,
+      url: destination.url,
+      payload: {
+        username: t('digest.username'),
+        avatar_url: DEFAULT_AVATAR,
+        embeds: [embed]
+      },
+      eventId: `digest:${digest.name}`,
+      destination: destination.name
+    });
+    log.info(`📊 Queued ${digest.name} digest (${records.length} records)`);
+  }
+
+  // The configured relays plus the watched identities' NIP-65 relays: write relays
+  // carry their own events (outbox), read relays the replies and mentions (inbox).
+  // Direct messages arrive on the DM key's read and NIP-17 inbox relays.
+  async function discoverRelays(pubkeys) {
+    const wanted = dmPubkey && !pubkeys.includes(dmPubkey) ? pubkeys.concat(dmPubkey) : pubkeys;
+    if (relayDiscovery) {
+      try {
+        const lists = await fetchRelayLists(pool, relaySupervisor.readRelays(), wanted);
+        lists.forEach((list, pubkey) => {
+          relayLists.set(pubkey, list);
+          relayLog.info(`🧭 NIP-65 relays for ${pubkey.slice(0, 8)}...: ${list.write.length} write, ${list.read.length} read, ${list.dm.length} DM`);
+        });
+      } catch (error) {
+        relayLog.error('❌ Error fetching relay lists', { error });
+      }
+    }
+
+    const entries = relayUrls.map(url => ({ url, source: 'static' }));
+    relayLists.forEach((list, pubkey) => {
+      if (pubkeys.includes(pubkey)) {
+        list.write.slice(0, maxDiscoveredRelays).forEach(url => entries.push({ url, source: 'outbox' }));
+        list.read.slice(0, maxDiscoveredRelays).forEach(url => entries.push({ url, source: 'inbox' }));
+      }
+      if (pubkey === dmPubkey) {
+        list.read.slice(0, maxDiscoveredRelays).concat(list.dm.slice(0, maxDiscoveredRelays))
+          .forEach(url => entries.push({ url, source: 'inbox' }));
+      }
+    });
+    relaySupervisor.setRelays(entries);
+  }
+
+  // One line per relay: state, latency and how many events it delivered first
+  function logRelayStats() {
+    relaySupervisor.stats().forEach(relay => {
+      const latency = relay.connectLatencyMs !== null ? `${relay.connectLatencyMs}ms` : '-';
+      relayLog.debug(`   ${relay.status === 'connected' ? '🟢' : relay.status === 'demoted' ? '🔴' : '🟡'} ${relay.url} [${relay.sources.join(', ')}] ${relay.status}, latency ${latency}, ${relay.uniqueEvents}/${relay.events} events first/total, ${relay.disconnects} drops`);
+    });
+  }
+
+  // Validate an event, apply filter rules and trust, then forward it (or mirror a deletion).
+  // Resolves true once the event is handled, dropped ones included, and false if it's invalid.
+  // `summaries` collects, for events folded into a summary, promises of that summary's delivery.
+  function processEvent(event, { resend = false, dryRun = false, summaries = null } = {}) {
+    // Validate the event
+    let isValid = true;
+    try {
+      if (!validateEvent(event)) {
+        subscriptionLog.warn('❌ Event validation failed', { eventId: event.id });
+        isValid = false;
+      }
+      if (!verifySignature(event)) {
+        subscriptionLog.warn('❌ Signature verification failed', { eventId: event.id });
+        isValid = false;
+      }
+    } catch (error) {
+      subscriptionLog.warn('❌ Error during validation', { eventId: event.id, error });
+      isValid = false;
+    }
+
+    if (!isValid) {
+      drop(event, 'invalid');
+      subscriptionLog.warn('❌ Invalid event received, skipping', { eventId: event.id });
+      return Promise.resolve(false);
+    }
+    eventsReceived.inc({ kind: event.kind });
+    bridge.emit('event', event);
+
+    // Deletions only touch messages we posted ourselves, so no filter rules apply
+    if (event.kind === 5) {
+      if (dryRun) {
+        log.info(`🧪 Dry run: not mirroring deletion ${event.id.slice(0, 8)}...`, { eventId: event.id });
+        return Promise.resolve(true);
+      }
+      return mirrorDeletion(event);
+    }
+
+    notes.remember(event);
+
+    // Apply filter rules and mute lists; dropped events count as handled so catch-up moves past them
+    const matches = matchIdentities(config, event);
+    let dropped = rules.check(event, matches);
+    const trust = dropped ? null : trustPolicy.check(event, matches);
+    if (trust && trust.action === 'drop') {
+      dropped = { rule: 'trust', reason: trust.reason };
+    }
+    if (dropped) {
+      drop(event, dropped.rule);
+      subscriptionLog.info(`🚫 Dropped event ${event.id.slice(0, 8)}... (kind ${event.kind}) by rule ${dropped.rule}: ${dropped.reason}`, { eventId: event.id });
+      return Promise.resolve(true);
+    }
+    if (trust.action !== 'pass') {
+      subscriptionLog.info(`🤔 Untrusted event ${event.id.slice(0, 8)}... (${trust.reason}), action: ${trust.action}`, { eventId: event.id });
+    }
+    return sendToDiscord(event, { trust: trust.action, reason: trust.reason, resend, dryRun, summaries });
+  }
+
+  // Subscribe to Nostr events
+  async function subscribeToNostrEvents() {
+    if (stopping) return;
+    const pubkeys = config.identities.map(identity => identity.pubkey);
+    subscriptionLog.info(`🔔 Starting subscription to Nostr events for ${pubkeys.length} pubkey(s): ${pubkeys.join(', ')}`);
+
+    // Connect to the configured relays first; the supervisor keeps reconnecting from here on
+    relaySupervisor.setRelays(relayUrls.map(url => ({ url, source: 'static' })));
+    const connected = await relaySupervisor.ready();
+    relayLog.info(`Connected to ${connected}/${relayUrls.length} relays`);
+
+    if (!connected) {
+      relayLog.warn("⚠️ WARNING: Could not connect to any relays. Retrying in 30 seconds...");
+      subscribeRetry = setTimeout(subscribeToNostrEvents, 30000);
+      return;
+    }
+
+    // Then add the identities' own relay lists
+    await discoverRelays(pubkeys);
+
+    // Fetch each identity's metadata for profile picture and name, then keep it and the relay lists current
+    await fetchUserMetadata();
+    // stop() may have been called while we were connecting
+    if (stopping) return;
+    if (!profileWatch) {
+      profiles.watch(pubkeys, relaySupervisor);
+      profileWatch = setInterval(() => {
+        fetchUserMetadata().catch(error => log.error('❌ Error refreshing user metadata', { error }));
+        discoverRelays(pubkeys).catch(error => relayLog.error('❌ Error refreshing relay lists', { error }));
+      }, profileRefreshMs);
+    }
+
+    // Contact and mute lists, kept current in the background
+    if (needsFollowGraph && !followRefresh) {
+      await follows.refresh(pubkeys);
+      if (stopping) return;
+      followRefresh = setInterval(() => follows.refresh(pubkeys), config.trust.refreshIntervalMs);
+    }
+
+    subscriptionLog.debug("Setting up subscription filter");
+
+    // Own posts for every watched identity, plus replies, reactions, reposts and zaps tagging them
+    const filters = buildFilters(config, { deletions: deletionMode !== 'off' });
+
+    // Resume each filter from its last seen event, bounded by the max lookback. This runs
+    // whenever a relay (re)connects, so a relay that dropped catches up on what it missed;
+    // filters that never matched anything resume from when the subscription started.
+    const startedAt = Math.floor(Date.now() / 1000);
+    const relayFilters = (url, sources) => {
+      const now = Math.floor(Date.now() / 1000);
+      return filtersForSources(filters, sources).map(filter => {
+        const lastSeen = processedEvents.getHighWater(filterKey(filter));
+        const since = resolveSince(lastSeen || startedAt, now, maxLookbackSeconds);
+        if (lastSeen) {
+          subscriptionLog.debug(`Catching up filter ${filterKey(filter)} on ${url} from ${new Date(since * 1000).toISOString()}`);
+        }
+        return Object.assign({}, filter, { since });
+      });
+    };
+
+    subscriptionLog.debug(`Subscription filters: ${JSON.stringify(filters)}`);
+
+    subscriptionLog.info("Waiting for new events...");
+
+    let receivedEventCount = 0;
+    const highWater = createHighWaterTracker(processedEvents);
+
+    const handleEvent = event => {
+      receivedEventCount++;
+      subscriptionLog.info(`📥 Received event ${receivedEventCount} (kind ${event.kind}): ${event.id}`, { eventId: event.id, kind: event.kind });
+
+      // Event type, content and client links, when debugging
+      const eventTypeNames = {
+        1: 'Text Note',
+        7: 'Reaction', 
+        9735: 'Zap',
+        6: 'Repost',
+        5: 'Deletion',
+        16: 'Generic Repost',
+        20: 'Picture',
+        1063: 'File',
+        1111: 'Comment',
+        9802: 'Highlight',
+        30023: 'Article',
+        30311: 'Live Event'
+      };
+      const eventTypeName = eventTypeNames[event.kind] || `Unknown (${event.kind})`;
+      const fields = { eventId: event.id };
+      subscriptionLog.debug(`📝 Event Type: ${eventTypeName}`, fields);
+      subscriptionLog.debug(`📝 Content: ${event.content?.substring(0, 100) || 'No content'}${event.content?.length > 100 ? '...' : ''}`, fields);
+      if (subscriptionLog.enabled('debug')) {
+        linkBuilder.eventLinks(event.id).forEach(link => subscriptionLog.debug(`🔗 ${link.label} Link: ${link.url}`, fields));
+      }
+
+      // Process the event, then move the catch-up marks of every filter it matched
+      const finish = highWater.begin(filters.filter(filter => matchFilter(filter, event)).map(filterKey), event.created_at);
+      // An event folded into a summary is only done once that summary is delivered
+      const summaries = [];
+      processEvent(event, { summaries })
+        .then(handled => (handled ? Promise.all(summaries).then(results => results.every(Boolean)) : false))
+        .then(handled => finish(handled))
+        .catch(error => {
+          subscriptionLog.error('❌ Error processing event', { eventId: event.id, error });
+          finish(false);
+        });
+    };
+
+    // Stored events are done once every connected relay has sent EOSE (or after 10s)
+    let pendingEose = relaySupervisor.connectedCount();
+    let storedEventsDone = false;
+    const onStoredEventsDone = () => {
+      if (storedEventsDone) return;
+      storedEventsDone = true;
+      clearTimeout(eoseTimeout);
+      subscriptionLog.info('📬 End of stored events. Now listening for new events...');
+      if (receivedEventCount === 0) {
+        subscriptionLog.warn('⚠️ No events received. This could mean:');
+        subscriptionLog.warn('   - The pubkey has no recent posts');
+        subscriptionLog.warn('   - The pubkey might be incorrect');
+        subscriptionLog.warn('   - The relays don\'t have events for this pubkey');
+        subscriptionLog.info('Run `npm run doctor` to check the relays, destinations and recent events.');
+      }
+    };
+    const eoseTimeout = setTimeout(onStoredEventsDone, 10000);
+    cleanups.push(() => clearTimeout(eoseTimeout));
+
+    subscriptionActive = true;
+    relaySupervisor.subscribe('events', relayFilters, handleEvent, {
+      onEose: () => {
+        pendingEose--;
+        if (pendingEose <= 0) onStoredEventsDone();
+      }
+    });
+
+    if (dmWebhookUrl) {
+      watchDirectMessages();
+    }
+  }
+
+  // An event by hex ID, note or nevent, from the note cache or the relays (plus the nevent's hints).
+  // Throws for malformed references and resolves to null when no relay has the event.
+  async function findEvent(reference) {
+    const { id, relays } = parseEventReference(reference);
+    let event = notes.get(id);
+    if (!event) {
+      const events = await pool.list(Array.from(new Set(relaySupervisor.readRelays().concat(relays))), [{ ids: [id] }]);
+      event = events.find(candidate => candidate.id === id && validateEvent(candidate) && verifySignature(candidate)) || null;
+    }
+    return event;
+  }
+
+  // Post an event again by hex ID, note or nevent (admin API); filter rules and trust don't apply
+  async function resendEvent(reference) {
+    let id, event;
+    try {
+      id = parseEventReference(reference).id;
+      event = await findEvent(reference);
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+    if (!event) {
+      return { ok: false, error: `Event ${id} not found on the relays` };
+    }
+
+    log.info(`🔁 Resending event ${id.slice(0, 8)}... on request`, { eventId: id });
+    notes.remember(event);
+    const deliveries = resolveDeliveries(config, event);
+    if (deliveries.length === 0) {
+      return { ok: false, error: `Event ${id} matches no route` };
+    }
+    await sendToDiscord(event, { resend: true });
+    return { ok: true, eventId: id, destinations: deliveries.map(delivery => delivery.destination.name) };
+  }
+
+  // Relays to publish to: the configured ones plus the author's NIP-65 write relays
+  function publishRelays(pubkey) {
+    const list = relayLists.get(pubkey);
+    const urls = relayUrls.concat(list ? list.write.slice(0, maxDiscoveredRelays) : []);
+    return Array.from(new Set(urls));
+  }
+
+  // Publish a signed event and resolve to the relays that accepted it
+  async function publishEvent(event) {
+    const relays = publishRelays(event.pubkey);
+    const results = await Promise.allSettled(pool.publish(relays, event).map(publishing => Promise.race([
+      publishing,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('timed out')), 10000))
+    ])));
+    return { relays, accepted: relays.filter((url, index) => results[index].status === 'fulfilled') };
+  }
+
+  // Run a slash command from the Discord bridge: build the event, sign and publish it,
+  // and return the message echoed into the channel
+  async function publishFromDiscord(command, options, user) {
+    let target = null;
+    if (command !== 'note') {
+      target = await findEvent(options.event);
+      if (!target) throw new Error(`Event ${options.event} not found on the relays`);
+      notes.remember(target);
+    }
+    const hint = target ? linkBuilder.relayHints(target.id)[0] || '' : '';
+    const pubkey = await signer.start();
+    const template = {
+      note: () => buildNote(options.text),
+      reply: () => buildReply(options.text, target, hint, pubkey),
+      react: () => buildReaction(target, options.emoji || '+', hint),
+      repost: () => buildRepost(target, hint)
+    }[command];
+    if (!template) throw new Error(`Unknown command /${command}`);
+
+    const event = await signer.signEvent(template());
+
+    // The echo shows the event in Discord, so the webhooks don't post it a second time.
+    // Marked before publishing, as our own subscription may get it back before publish resolves.
+    notes.remember(event);
+    resolveDeliveries(config, event).forEach(({ destination }) => processedEvents.markForwarded(`${destination.name}:${event.id}`));
+
+    const { relays, accepted } = await publishEvent(event);
+    if (accepted.length === 0) {
+      throw new Error(`no relay accepted event ${event.id}`);
+    }
+    bridgeLog.info(`📤 Published ${event.id.slice(0, 8)}... (kind ${event.kind}) for ${user.username} to ${accepted.length}/${relays.length} relays`, { eventId: event.id });
+
+    // Notes and replies look like any forwarded post; reactions and reposts quote their target
+    await profiles.load(getEventActors(event).concat(target ? [target.pubkey] : []));
+    let embeds;
+    if (event.kind === 1) {
+      const identity = config.identities.find(other => other.pubkey === event.pubkey) || config.identities[0];
+      embeds = formatForDiscord(event, identity).embeds;
+    } else {
+      const quoteField = formatQuoteField(event);
+      embeds = quoteField ? [{ fields: [quoteField], timestamp: new Date(event.created_at * 1000).toISOString() }] : [];
+    }
+    return {
+      content: t('bridge.published', {
+        user: `<@${user.id}>`,
+        accepted: accepted.length,
+        total: relays.length,
+        links: formatClientLinks(linkBuilder.eventLinks(event.id))
+      }),
+      embeds: embeds,
+      allowed_mentions: { parse: [] }
+    };
+  }
+
+  // Watch direct messages to the signer's key; they only ever go to the private webhook
+  async function watchDirectMessages() {
+    try {
+      dmPubkey = await signer.start();
+    } catch (error) {
+      dmLog.error(`❌ Could not connect to the signer, direct messages are off: ${error.message}`);
+      return;
+    }
+    dmLog.info(`🔒 Watching direct messages to ${nip19.npubEncode(dmPubkey)}`);
+
+    // Resume from the last message like the main subscription. Gift wraps are backdated
+    // up to two days, so those are asked for further back and de-duplicated by ID.
+    const filters = [{ kinds: [4], '#p': [dmPubkey] }, { kinds: [1059], '#p': [dmPubkey] }];
+    const startedAt = Math.floor(Date.now() / 1000);
+    const firstRun = filters.every(filter => !processedEvents.getHighWater(filterKey(filter)));
+    const highWater = createHighWaterTracker(processedEvents);
+    relaySupervisor.subscribe('dms', (url, sources) => {
+      const now = Math.floor(Date.now() / 1000);
+      return filtersForSources(filters, sources).map(filter => {
+        const since = resolveSince(processedEvents.getHighWater(filterKey(filter)) || startedAt, now, maxLookbackSeconds);
+        return Object.assign({}, filter, { since: filter.kinds[0] === 1059 ? since - GIFT_WRAP_SKEW_SECONDS : since });
+      });
+    }, event => {
+      // Marks follow the messages' own times, but never pass a DM that is still being handled
+      const filter = filters.find(candidate => candidate.kinds[0] === event.kind);
+      const finish = highWater.begin(filter ? [filterKey(filter)] : [], event.created_at);
+      handleDirectMessage(event, { firstRun, startedAt })
+        .then(createdAt => finish(createdAt !== null, createdAt))
+        .catch(error => {
+          dmLog.error('❌ Error handling direct message', { eventId: event.id, error });
+          finish(false);
+        });
+    });
+
+    // Pick up the key's DM relays if it isn't one of the watched identities
+    await discoverRelays(config.identities.map(identity => identity.pubkey));
+  }
+
+  // Decrypt one DM and queue it for the private webhook. Resolves to the time the
+  // message was written (for the catch-up mark), or null if the event was invalid.
+  async function handleDirectMessage(event, { firstRun, startedAt }) {
+    if (!DM_KINDS.includes(event.kind) || !validateEvent(event) || !verifySignature(event)) {
+      drop(event, 'invalid');
+      return null;
+    }
+    const key = `dm:${event.id}`;
+    if (processedEvents.hasForwarded(key) || deliveryQueue.has(key)) {
+      return event.created_at;
+    }
+
+    let message;
+    try {
+      message = await openDirectMessage(event, signer);
+    } catch (error) {
+      drop(event, 'undecryptable');
+      dmLog.warn(`❌ Could not decrypt direct message ${event.id.slice(0, 8)}...: ${error.message}`, { eventId: event.id });
+      return event.created_at;
+    }
+    eventsReceived.inc({ kind: event.kind });
+    bridge.emit('event', event);
+    // Gift wraps of other things, copies of messages we sent, and (on the very first run) older history
+    if (!message || message.sender === dmPubkey || (firstRun && message.createdAt < startedAt)) {
+      return message ? message.createdAt : event.created_at;
+    }
+
+    await profiles.load([message.sender].concat(getMentionedPubkeys(message.content)));
+    dmLog.info(`🔒 Direct message ${event.id.slice(0, 8)}... from ${profiles.describe(message.sender).name}`, { eventId: event.id });
+    deliveryQueue.enqueue({
+      key: key,
+      url: dmWebhookUrl,
+      payload: formatDirectMessage(message),
+      eventId: event.id,
+      destination: 'dm'
+    });
+    return message.createdAt;
+  }
+
+  // Private webhook message for a decrypted DM; redacted ones only say who wrote
+  function formatDirectMessage(message) {
+    const rendered = dmRedact
+      ? { text: t('dm.redacted'), images: [] }
+      : renderContent(message, getContentOptions(null, MAX_DESCRIPTION_LENGTH));
+    const embed = {
+      author: formatActorAuthor(message.sender),
+      description: rendered.text || t('common.noText'),
+      color: 10181046, // Purple
+      timestamp: new Date(message.createdAt * 1000).toISOString(),
+      footer: { text: t(message.protocol === 'nip17' ? 'dm.footerPrivate' : 'dm.footerEncrypted') }
+    };
+    return {
+      username: t('dm.username'),
+      avatar_url: DEFAULT_AVATAR,
+      embeds: attachImages(embed, rendered.images, null, 1)
+    };
+  }
+
+  // Forward past events once, oldest first, through the same path as live ones
+  // (options as from parseBackfillArgs in lib/backfill.js)
+  async function runBackfill(overrides) {
+    const options = Object.assign(defaultBackfillOptions(), overrides);
+    const filters = backfillFilters(config, options);
+    logStartup();
+    deliveryQueue.start();
+
+    const pubkeys = config.identities.map(identity => identity.pubkey);
+    relaySupervisor.setRelays(relayUrls.map(url => ({ url, source: 'static' })));
+    if (!(await relaySupervisor.ready())) {
+      throw new Error('Could not connect to any relays');
+    }
+    await discoverRelays(pubkeys);
+    await relaySupervisor.ready();
+    await fetchUserMetadata();
+    if (needsFollowGraph) {
+      await follows.refresh(pubkeys);
+    }
+
+    log.debug(`Backfill filters: ${JSON.stringify(filters)}`);
+    const found = await pool.list(relaySupervisor.readRelays(), filters);
+    // Keep the newest `limit` events, then send them in the order they were published
+    const events = found
+      .sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id))
+      .slice(0, options.ids.length > 0 ? options.ids.length : options.limit)
+      .reverse();
+    options.ids
+      .filter(id => !events.some(event => event.id === id))
+      .forEach(id => log.warn(`⚠️ Event ${id} not found on the relays`, { eventId: id }));
+    log.info(`📦 Backfilling ${events.length} event(s)${options.dryRun ? ' (dry run)' : ''}`);
+
+    for (const event of events) {
+      log.info(`📥 ${new Date(event.created_at * 1000).toISOString()} kind ${event.kind}: ${event.id}`, { eventId: event.id, kind: event.kind });
+      await processEvent(event, { resend: options.force, dryRun: options.dryRun });
+    }
+
+    if (!options.dryRun) {
+      if (coalescer) {
+        coalescer.flushAll();
+      }
+      await deliveryQueue.drain();
+    }
+    processedEvents.save();
+    relaySupervisor.close();
+    log.info(options.dryRun ? '🧪 Dry run finished, nothing was posted' : `✅ Backfill finished`);
+  }
+
+  // Send dead letters (see readDeadLetters in lib/delivery.js) again through the bridge's queue,
+  // so what goes out is recorded in STATE_FILE like a live delivery. Items that fail again are
+  // parked once more. Resolves to the entries that were delivered.
+  async function replayDeadLetters(entries) {
+    entries.forEach(entry => deliveryQueue.enqueue(entry));
+    await deliveryQueue.drain();
+    processedEvents.save();
+    return entries.filter(entry => processedEvents.hasForwarded(entry.key));
+  }
+
+  // Pass/fail report for `npm run doctor`; nothing is posted and no state is written
+  async function runDoctor({ events: eventCount = DEFAULT_EVENTS } = {}) {
+    logStartup();
+    const report = createReport(log);
+    report.add('Configuration', {
+      status: 'pass',
+      detail: `${config.identities.length} identities, ${Object.keys(config.destinations).length} destinations, ${config.routes.length} routes`
+    });
+
+    const reachable = [];
+    for (const url of relayUrls) {
+      const result = await checkRelay(pool, url);
+      report.add(`Relay ${url}`, result);
+      if (result.status === 'pass') reachable.push(url);
+    }
+
+    for (const destination of Object.values(config.destinations)) {
+      report.add(`Destination ${destination.name} (${destination.sink})`, await checkDestination(getSink(destination.sink), destination));
+    }
+    if (dmWebhookUrl) {
+      report.add('DM webhook', await checkDestination(getSink('discord'), { url: dmWebhookUrl }));
+    }
+
+    if (reachable.length === 0) {
+      report.add('Profiles and events', { status: 'fail', detail: 'skipped, no relay is reachable' });
+    } else {
+      relaySupervisor.setRelays(reachable.map(url => ({ url, source: 'static' })));
+      await relaySupervisor.ready();
+      const pubkeys = config.identities.map(identity => identity.pubkey);
+      await discoverRelays(pubkeys);
+      await relaySupervisor.ready();
+      await profiles.load(pubkeys, { force: true });
+
+      for (const identity of config.identities) {
+        const profile = profiles.describe(identity.pubkey);
+        report.add(`Profile of ${identity.name}`, profile.hasProfile
+          ? { status: 'pass', detail: `${profile.name}${profile.nip05 ? ` (${profile.nip05})` : ''}` }
+          : { status: 'warn', detail: `no profile (kind 0) found for ${profile.npub}` });
+
+        const events = (await pool.list(relaySupervisor.readRelays(), [{ authors: [identity.pubkey], limit: eventCount }]))
+          .sort((a, b) => b.created_at - a.created_at)
+          .slice(0, eventCount);
+        report.add(`Recent events of ${identity.name}`, events.length > 0
+          ? { status: 'pass', detail: `${events.length} found` }
+          : { status: 'warn', detail: 'none found, check the pubkey and relays' });
+        events.forEach(event => {
+          log.info(`   ${new Date(event.created_at * 1000).toISOString()} kind ${event.kind}: ${event.id}`, { eventId: event.id, kind: event.kind });
+        });
+      }
+    }
+
+    relaySupervisor.close();
+    log.info(report.summary());
+    return !report.failed;
+  }
+
+  // Slash commands that post to Nostr: signer, interactions endpoint and command registration
+  async function startBridge() {
+    signer.start()
+      .then(pubkey => bridgeLog.info(`✍️ Discord bridge signs as ${nip19.npubEncode(pubkey)}`))
+      .catch(error => bridgeLog.error(`❌ Could not connect to the signer: ${error.message}`));
+
+    const server = createInteractionsServer({
+      port: interactionsPort,
+      applicationId: discordApplicationId,
+      publicKey: discordPublicKey,
+      allowedRoles: discordAllowedRoles,
+      onCommand: publishFromDiscord,
+      messages: {
+        notAllowed: () => t('bridge.notAllowed'),
+        failed: reason => t('bridge.failed', { reason })
+      },
+      log: bridgeLog
+    });
+    try {
+      await server.start();
+    } catch (error) {
+      throw new Error(`Could not start the interactions endpoint on port ${interactionsPort}: ${error.message}`);
+    }
+    cleanups.push(() => server.stop());
+
+    if (discordBotToken) {
+      registerCommands({ applicationId: discordApplicationId, botToken: discordBotToken, guildId: discordGuildId })
+        .then(() => bridgeLog.info(`✅ Registered slash commands ${discordGuildId ? `in server ${discordGuildId}` : 'globally'}`))
+        .catch(error => bridgeLog.error(`❌ Could not register slash commands: ${error.message}`));
+    }
+  }
+
+  // Admin server, digests, the live subscription and the heartbeat
+  async function start() {
+    if (started) throw new Error('The bridge was already started');
+    started = true;
+    logStartup();
+    deliveryQueue.start();
+
+    if (adminPort !== null) {
+      const adminServer = createAdminServer({
+        port: adminPort,
+        host: adminHost,
+        token: adminToken,
+        metrics: metrics,
+        log: log.child({ component: 'admin' }),
+        readiness: () => {
+          const relaysConnected = relaySupervisor.connectedCount();
+          return { ready: relaysConnected > 0 && subscriptionActive, relaysConnected, subscriptionActive };
+        },
+        admin: {
+          status: () => ({
+            paused: deliveryQueue.paused,
+            queueSize: deliveryQueue.size,
+            subscriptionActive: subscriptionActive,
+            relays: relaySupervisor.stats()
+          }),
+          recent: limit => recentForwarded.slice(0, limit),
+          resend: resendEvent,
+          pause: () => {
+            deliveryQueue.pause();
+            log.info('⏸️ Forwarding paused, messages are queued until resumed');
+          },
+          resume: () => {
+            deliveryQueue.resume();
+            log.info(`▶️ Forwarding resumed (${deliveryQueue.size} queued)`);
+          }
+        }
+      });
+      try {
+        await adminServer.start();
+      } catch (error) {
+        throw new Error(`Could not start the admin server on port ${adminPort}: ${error.message}`);
+      }
+      cleanups.push(() => adminServer.stop());
+    }
+
+    if (bridgeEnabled) {
+      await startBridge();
+    }
+
+    // Post digests on their cron schedules
+    config.digests.forEach(digest => {
+      cleanups.push(schedule(digest.schedule, now => postDigest(digest, now), log));
+    });
+    subscribeToNostrEvents().catch(error => {
+      subscriptionLog.error('Error during subscription', { error: error || 'Unknown error' });
+    });
+
+    const heartbeat = setInterval(() => {
+      log.info(`💓 Heartbeat check... Bot is running (${relaySupervisor.connectedCount()}/${relaySupervisor.stats().length} relays connected)`);
+      if (relayLog.enabled('debug')) {
+        logRelayStats();
+      }
+    }, checkIntervalMs);
+    cleanups.push(() => clearInterval(heartbeat));
+  }
+
+  // Stop listening, give queued deliveries up to `timeoutMs` to go out, then save state.
+  // Whatever is still queued stays in the queue file for the next start.
+  function stop({ timeoutMs = shutdownTimeoutMs } = {}) {
+    if (!stopping) {
+      stopping = shutdown(timeoutMs);
+    }
+    return stopping;
+  }
+
+  async function shutdown(timeoutMs) {
+    clearTimeout(subscribeRetry);
+    clearInterval(profileWatch);
+    clearInterval(followRefresh);
+    await Promise.all(cleanups.splice(0).map(cleanup => cleanup()));
+    relaySupervisor.close();
+    subscriptionActive = false;
+
+    // Queue the summaries still waiting for their next update
+    if (coalescer) {
+      coalescer.flushAll();
+    }
+    if (deliveryQueue.size > 0 && !deliveryQueue.paused) {
+      deliveryLog.info(`⏳ Waiting up to ${Math.round(timeoutMs / 1000)}s for ${deliveryQueue.size} queued deliveries...`);
+      let timer;
+      await Promise.race([
+        deliveryQueue.drain(),
+        new Promise(resolve => {
+          timer = setTimeout(resolve, timeoutMs);
+        })
+      ]);
+      clearTimeout(timer);
+    }
+    deliveryQueue.stop();
+
+    processedEvents.save();
+    if (stats) {
+      stats.save();
+    }
+    if (deliveryQueue.size > 0) {
+      deliveryLog.warn(queueFile
+        ? `${deliveryQueue.size} deliveries still queued, they will resume on next start`
+        : `${deliveryQueue.size} deliveries still queued were not sent`);
+    }
+    log.info('👋 Stopped');
+  }
+
+  return {
+    config,
+    log,
+    start,
+    stop,
+    backfill: runBackfill,
+    replay: replayDeadLetters,
+    doctor: runDoctor,
+    forward: processEvent
+  };
+}
+
+module.exports = { Bridge, DEFAULT_RELAYS, insertSorted };
@@ -0,0 +1,183 @@
+// Coalescing of reaction, repost and zap bursts: once a note collects
+// `threshold` of one of them within `windowSeconds`, the rest go into one
+// summary message per note that is edited as more arrive (or, where the sink
+// can't edit, posted once the window closes).
+
+// Config names for the kinds that can be coalesced
+const COALESCE_GROUPS = {
+  reactions: [7],
+  reposts: [6, 16],
+  zaps: [9735]
+};
+
+const DEFAULT_WINDOW_SECONDS = 600;
+const DEFAULT_THRESHOLD = 3;
+// How many recent actors a summary names
+const MAX_ACTORS = 5;
+
+// Validate the `coalesce` config section, e.g. { "reactions": { "windowSeconds": 600, "threshold": 3 } };
+// returns kind -> { windowSeconds, threshold }
+function normalizeCoalesce(raw) {
+  const settings = {};
+  if (!raw) return settings;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('"coalesce" must be an object');
+  }
+
+  Object.keys(raw).forEach(name => {
+    if (!COALESCE_GROUPS[name]) {
+      throw new Error(`Unknown group "${name}" (use ${Object.keys(COALESCE_GROUPS).join(', ')})`);
+    }
+    const value = raw[name] === true ? {} : raw[name];
+    if (!value) return;
+    const windowSeconds = Number(value.windowSeconds !== undefined ? value.windowSeconds : DEFAULT_WINDOW_SECONDS);
+    const threshold = Number(value.threshold !== undefined ? value.threshold : DEFAULT_THRESHOLD);
+    if (!(windowSeconds > 0)) {
+      throw new Error(`Invalid windowSeconds "${value.windowSeconds}" for ${name}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      throw new Error(`Invalid threshold "${value.threshold}" for ${name} (expected a whole number from 1)`);
+    }
+    COALESCE_GROUPS[name].forEach(kind => {
+      settings[kind] = { windowSeconds, threshold };
+    });
+  });
+  return settings;
+}
+
+// COALESCE=reactions,reposts:900,zaps:3600:1 → name[:windowSeconds[:threshold]]
+function coalesceFromEnv(env) {
+  if (!env.COALESCE) return null;
+  const raw = {};
+  env.COALESCE.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, windowSeconds, threshold] = entry.split(':');
+    raw[name] = {
+      windowSeconds: windowSeconds || undefined,
+      threshold: threshold || undefined
+    };
+  });
+  return raw;
+}
+
+// Tracks one group per destination and target note. `add()` says whether an event
+// went into a summary; `onFlush(group)` is called when a summary should be
+// (re)posted: shortly after each change for sinks that edit, at the end of the
+// window for the others.
+function createCoalescer({ settings, flushDelayMs = 5000, onFlush }) {
+  // `${destination}:${target}` -> group
+  const groups = new Map();
+
+  function newGroup(key, entry, now) {
+    const lastsMs = Math.max(...Object.values(settings).map(setting => setting.windowSeconds)) * 1000;
+    const group = {
+      key: `coalesce:${key}:${Math.floor(now / 1000)}`,
+      destination: entry.destination,
+      target: entry.target,
+      identity: entry.identity,
+      editable: entry.editable,
+      startedAt: now,
+      sample: null,
+      counts: {},
+      reactions: new Map(),
+      reposts: 0,
+      zaps: 0,
+      sats: 0,
+      zappers: new Set(),
+      actors: [],
+      // Delivery keys of the events the summary stands for
+      keys: [],
+      summarized: false,
+      messageId: null,
+      threadId: null,
+      flushTimer: null,
+      closeTimer: setTimeout(() => close(key, group), lastsMs)
+    };
+    groups.set(key, group);
+    return group;
+  }
+
+  function close(key, group) {
+    clearTimeout(group.closeTimer);
+    if (groups.get(key) === group) groups.delete(key);
+    if (group.flushTimer) {
+      clearTimeout(group.flushTimer);
+      group.flushTimer = null;
+      onFlush(group);
+    } else if (!group.editable && group.summarized) {
+      onFlush(group);
+    }
+  }
+
+  function scheduleFlush(group) {
+    if (!group.editable || group.flushTimer) return;
+    group.flushTimer = setTimeout(() => {
+      group.flushTimer = null;
+      onFlush(group);
+    }, flushDelayMs);
+  }
+
+  // `entry` is { key, destination, target, identity, event, editable, emoji?, actor?, sats? }
+  function add(entry, now = Date.now()) {
+    const setting = settings[entry.event.kind];
+    if (!setting || !entry.target) return false;
+
+    const key = `${entry.destination}:${entry.target}`;
+    let group = groups.get(key);
+    if (group && now - group.startedAt >= setting.windowSeconds * 1000) {
+      close(key, group);
+      group = null;
+    }
+    if (!group) {
+      group = newGroup(key, entry, now);
+    }
+
+    const kind = entry.event.kind;
+    group.counts[kind] = (group.counts[kind] || 0) + 1;
+    group.sample = group.sample || entry.event;
+    if (kind === 7) {
+      group.reactions.set(entry.emoji, (group.reactions.get(entry.emoji) || 0) + 1);
+    } else if (kind === 9735) {
+      group.zaps++;
+      group.sats += entry.sats || 0;
+      // Anonymous zaps each count as a zapper of their own
+      group.zappers.add(entry.actor || `anonymous:${group.zaps}`);
+    } else {
+      group.reposts++;
+    }
+    if (entry.actor) {
+      group.actors = [entry.actor].concat(group.actors.filter(actor => actor !== entry.actor)).slice(0, MAX_ACTORS);
+    }
+
+    // Below the threshold events are still posted on their own, but they count towards the summary
+    if (!group.summarized && group.counts[kind] < setting.threshold) return false;
+    group.summarized = true;
+    if (entry.key) group.keys.push(entry.key);
+    scheduleFlush(group);
+    return true;
+  }
+
+  // The summary's first post went through; later flushes edit it
+  function delivered(groupKey, { messageId, threadId }) {
+    groups.forEach(group => {
+      if (group.key !== groupKey) return;
+      group.messageId = messageId;
+      group.threadId = threadId;
+    });
+  }
+
+  // Post what is pending now (used on shutdown)
+  function flushAll() {
+    Array.from(groups.entries()).forEach(([key, group]) => close(key, group));
+  }
+
+  return {
+    add,
+    delivered,
+    flushAll,
+    get size() {
+      return groups.size;
+    }
+  };
+}
+
+module.exports = { COALESCE_GROUPS, normalizeCoalesce, coalesceFromEnv, createCoalescer };
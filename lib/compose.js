@@ -0,0 +1,57 @@
+const { nip10, nip19 } = require('nostr-tools');
+
+// Unsigned event templates for what can be posted from Discord: notes, NIP-10
+// replies, NIP-25 reactions and NIP-18 reposts. `relay` is a hint for where
+// the referenced event can be found.
+
+// { id, relays } from a hex ID, note or nevent
+function parseEventReference(value) {
+  const text = String(value || '').trim().replace(/^nostr:/, '');
+  if (/^[0-9a-f]{64}$/.test(text)) return { id: text, relays: [] };
+  try {
+    const { type, data } = nip19.decode(text);
+    if (type === 'note') return { id: data, relays: [] };
+    if (type === 'nevent') return { id: data.id, relays: data.relays || [] };
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error(`Invalid event ID "${value}" (use hex, note1… or nevent1…)`);
+}
+
+function template(kind, content, tags) {
+  return { kind, content, tags, created_at: Math.floor(Date.now() / 1000) };
+}
+
+function buildNote(text) {
+  return template(1, text, []);
+}
+
+// Reply in the parent's thread: root and reply markers, and everyone in the thread tagged but `self`
+function buildReply(text, parent, relay = '', self = null) {
+  const thread = nip10.parse(parent);
+  const tags = [];
+  if (thread.root && thread.root.id !== parent.id) {
+    tags.push(['e', thread.root.id, thread.root.relays && thread.root.relays[0] || '', 'root']);
+    tags.push(['e', parent.id, relay, 'reply']);
+  } else {
+    tags.push(['e', parent.id, relay, 'root']);
+  }
+  const pubkeys = [parent.pubkey].concat(parent.tags.filter(tag => tag[0] === 'p' && tag[1]).map(tag => tag[1]));
+  Array.from(new Set(pubkeys))
+    .filter(pubkey => pubkey !== self)
+    .forEach(pubkey => tags.push(['p', pubkey]));
+  return template(1, text, tags);
+}
+
+function buildReaction(target, emoji = '+', relay = '') {
+  return template(7, emoji, [['e', target.id, relay], ['p', target.pubkey], ['k', String(target.kind)]]);
+}
+
+// Kind 6 for notes, kind 16 (generic repost) for everything else
+function buildRepost(target, relay = '') {
+  const tags = [['e', target.id, relay], ['p', target.pubkey]];
+  if (target.kind !== 1) tags.push(['k', String(target.kind)]);
+  return template(target.kind === 1 ? 6 : 16, JSON.stringify(target), tags);
+}
+
+module.exports = { parseEventReference, buildNote, buildReply, buildReaction, buildRepost };
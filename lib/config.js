@@ -0,0 +1,372 @@
+const fs = require('fs');
+const { nip19 } = require('nostr-tools');
+const { parseCron } = require('./cron');
+const { SECTIONS, parsePeriod } = require('./digest');
+const { normalizeFilters, filtersFromEnv } = require('./filters');
+const { normalizeTrust } = require('./trust');
+const { normalizeLinks, linksFromEnv } = require('./links');
+const { PRIVATE_KINDS } = require('./dms');
+const { SINKS, getSink } = require('./sinks');
+const { normalizeCoalesce, coalesceFromEnv } = require('./coalesce');
+const { CONFIG_SCHEMA, checkSchema } = require('./schema');
+
+// Kinds that only make sense as something other people do to you
+const INBOUND_ONLY_KINDS = [6, 7, 16, 9735];
+// Kinds where both your own events and events tagging you are forwarded
+const BIDIRECTIONAL_KINDS = [1, 1111, 9802];
+
+const DIRECTIONS = ['own', 'inbound'];
+
+const THREAD_MODES = ['forum', 'channel'];
+
+// Convert npub to hex if needed
+function toHexPubkey(value) {
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid pubkey: ${JSON.stringify(value)}`);
+  }
+  if (value.startsWith('npub')) {
+    let decoded = null;
+    try {
+      decoded = nip19.decode(value);
+    } catch (error) {
+      // Reported below
+    }
+    if (!decoded || decoded.type !== 'npub') {
+      throw new Error(`Invalid npub "${value}" (check for typos or a truncated key)`);
+    }
+    return decoded.data;
+  }
+  if (!/^[0-9a-f]{64}$/.test(value)) {
+    throw new Error(`Invalid pubkey "${value}" (expected npub or 64-char hex)`);
+  }
+  return value;
+}
+
+// Parse a comma-separated kinds list such as "1,7,9735"
+function parseKinds(value) {
+  return String(value).split(',').map(k => k.trim()).filter(Boolean).map(k => {
+    if (!/^\d+$/.test(k)) throw new Error(`Invalid kind "${k}" in "${value}" (expected numbers like 1,7,9735)`);
+    return parseInt(k);
+  });
+}
+
+// Build the single-identity config from the classic env variables
+function configFromEnv(env) {
+  const kinds = parseKinds(env.MONITORED_EVENT_KINDS || '1');
+  const identities = [];
+  if (env.NOSTR_PUBKEY) {
+    identities.push({ name: 'default', pubkey: env.NOSTR_PUBKEY, kinds: kinds, zapProvider: env.ZAP_PROVIDER_PUBKEY });
+  }
+  const destinations = {};
+  if (env.DISCORD_WEBHOOK_URL) {
+    destinations.default = { url: env.DISCORD_WEBHOOK_URL, threads: env.DISCORD_THREADS || undefined };
+  }
+  const digests = [];
+  if (env.DIGEST_SCHEDULE) {
+    if (env.DIGEST_WEBHOOK_URL) {
+      destinations.digest = { url: env.DIGEST_WEBHOOK_URL };
+    }
+    digests.push({
+      name: 'digest',
+      schedule: env.DIGEST_SCHEDULE,
+      period: env.DIGEST_PERIOD || 'daily',
+      sections: env.DIGEST_SECTIONS ? env.DIGEST_SECTIONS.split(',').map(section => section.trim()) : undefined,
+      destination: env.DIGEST_WEBHOOK_URL ? 'digest' : 'default'
+    });
+  }
+  const trust = {
+    mode: env.TRUST_MODE || 'off',
+    action: env.TRUST_ACTION || 'drop',
+    refreshIntervalMs: env.TRUST_REFRESH_INTERVAL_MS
+  };
+  if (env.TRUST_DOWNGRADE_WEBHOOK_URL) {
+    destinations.quiet = { url: env.TRUST_DOWNGRADE_WEBHOOK_URL };
+    trust.downgradeDestination = 'quiet';
+  }
+  return {
+    identities: identities,
+    destinations: destinations,
+    // Only the main webhook gets per-event messages; the digest webhook only gets digests
+    routes: [{ destinations: ['default'] }],
+    digests: digests,
+    filters: filtersFromEnv(env),
+    trust: trust,
+    links: linksFromEnv(env),
+    coalesce: coalesceFromEnv(env)
+  };
+}
+
+// Read and validate the routing config, falling back to env variables
+function loadConfig(env = process.env) {
+  if (!env.CONFIG_FILE) {
+    return normalizeConfig(configFromEnv(env), parseKinds(env.MONITORED_EVENT_KINDS || '1'));
+  }
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${env.CONFIG_FILE}: ${error.message}`);
+  }
+  return configFromObject(raw, env, env.CONFIG_FILE);
+}
+
+// A config object shaped like CONFIG_FILE (also what Bridge accepts as `config`)
+function configFromObject(raw, env = process.env, source = 'config') {
+  const problems = checkSchema(raw, CONFIG_SCHEMA);
+  if (problems.length > 0) {
+    throw new Error(`${source} has ${problems.length} problem(s):\n  - ${problems.join('\n  - ')}`);
+  }
+  // Link providers and coalescing are presentation choices, so the env settings apply unless the config has its own
+  const withDefaults = Object.assign({}, raw);
+  if (!withDefaults.links) withDefaults.links = linksFromEnv(env);
+  if (!withDefaults.coalesce) withDefaults.coalesce = coalesceFromEnv(env);
+  return normalizeConfig(withDefaults, parseKinds(env.MONITORED_EVENT_KINDS || '1'));
+}
+
+// Validate a raw config object and resolve names, npubs and defaults
+function normalizeConfig(raw, defaultKinds) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Config must be a JSON object');
+  }
+  if (!Array.isArray(raw.identities) || raw.identities.length === 0) {
+    throw new Error('Config needs at least one identity (or set NOSTR_PUBKEY)');
+  }
+
+  const identities = raw.identities.map((identity, index) => {
+    const name = identity.name || `identity${index + 1}`;
+    const kinds = identity.kinds ? [].concat(identity.kinds).map(Number) : defaultKinds.slice();
+    // Direct messages only ever go to DM_WEBHOOK_URL, never through routes
+    const privateKinds = kinds.filter(kind => PRIVATE_KINDS.includes(kind));
+    if (privateKinds.length > 0) {
+      throw new Error(`Identity "${name}": kinds ${privateKinds.join(', ')} are direct messages, set DM_WEBHOOK_URL instead`);
+    }
+    return {
+      name: name,
+      pubkey: toHexPubkey(identity.pubkey),
+      kinds: kinds,
+      // The LNURL server's nostrPubkey, which must sign this identity's zap receipts
+      zapProviderPubkey: identity.zapProvider ? toHexPubkey(identity.zapProvider) : null
+    };
+  });
+
+  const destinations = {};
+  Object.keys(raw.destinations || {}).forEach(name => {
+    const value = raw.destinations[name];
+    const destination = typeof value === 'string' ? { url: value } : Object.assign({}, value);
+    destination.sink = destination.sink || 'discord';
+    const sink = getSink(destination.sink);
+    if (!sink) {
+      throw new Error(`Destination "${name}" has unknown sink "${destination.sink}" (use ${Object.keys(SINKS).join(', ')})`);
+    }
+    const problem = sink.validate(destination);
+    if (problem) {
+      throw new Error(`Destination "${name}" ${problem}`);
+    }
+    // Conversations as Discord threads: "forum" for a forum channel's webhook, "channel" for a text channel's
+    if (destination.threads !== undefined && !THREAD_MODES.includes(destination.threads)) {
+      throw new Error(`Destination "${name}" has invalid threads "${destination.threads}" (use ${THREAD_MODES.join(' or ')})`);
+    }
+    if (destination.threads && destination.sink !== 'discord') {
+      throw new Error(`Destination "${name}" can only use threads with the discord sink`);
+    }
+    destination.name = name;
+    destinations[name] = destination;
+  });
+  if (Object.keys(destinations).length === 0) {
+    throw new Error('Config needs at least one destination (or set DISCORD_WEBHOOK_URL)');
+  }
+
+  const routes = (raw.routes || []).map((route, index) => {
+    const label = route.name || `route ${index + 1}`;
+    const routeDestinations = [].concat(route.destinations || route.destination || []);
+    if (routeDestinations.length === 0) {
+      throw new Error(`Route "${label}" has no destinations`);
+    }
+    routeDestinations.forEach(name => {
+      if (!destinations[name]) {
+        throw new Error(`Route "${label}" points at unknown destination "${name}"`);
+      }
+    });
+
+    // Identities can be referenced by name, npub or hex
+    const routePubkeys = route.pubkeys || route.pubkey;
+    const pubkeys = routePubkeys ? [].concat(routePubkeys).map(ref => {
+      const identity = identities.find(i => i.name === ref);
+      return identity ? identity.pubkey : toHexPubkey(ref);
+    }) : null;
+
+    const directions = route.directions || route.direction;
+    if (directions) {
+      [].concat(directions).forEach(direction => {
+        if (!DIRECTIONS.includes(direction)) {
+          throw new Error(`Route "${label}" has unknown direction "${direction}" (use ${DIRECTIONS.join(' or ')})`);
+        }
+      });
+    }
+
+    return {
+      name: label,
+      pubkeys: pubkeys,
+      kinds: route.kinds ? [].concat(route.kinds).map(Number) : null,
+      directions: directions ? [].concat(directions) : null,
+      destinations: routeDestinations
+    };
+  });
+  if (routes.length === 0) {
+    throw new Error('Config needs at least one route');
+  }
+
+  const digests = (raw.digests || []).map((digest, index) => {
+    const label = digest.name || `digest${index + 1}`;
+    try {
+      parseCron(digest.schedule || '');
+    } catch (error) {
+      throw new Error(`Digest "${label}": ${error.message}`);
+    }
+    const sections = digest.sections ? [].concat(digest.sections) : SECTIONS.slice();
+    sections.forEach(section => {
+      if (!SECTIONS.includes(section)) {
+        throw new Error(`Digest "${label}" has unknown section "${section}" (use ${SECTIONS.join(', ')})`);
+      }
+    });
+    if (!destinations[digest.destination]) {
+      throw new Error(`Digest "${label}" points at unknown destination "${digest.destination}"`);
+    }
+    if (destinations[digest.destination].sink !== 'discord') {
+      throw new Error(`Digest "${label}" must post to a discord destination`);
+    }
+    let periodSeconds;
+    try {
+      periodSeconds = parsePeriod(digest.period || 'daily');
+    } catch (error) {
+      throw new Error(`Digest "${label}": ${error.message}`);
+    }
+    const digestPubkeys = digest.pubkeys ? [].concat(digest.pubkeys).map(ref => {
+      const identity = identities.find(i => i.name === ref);
+      return identity ? identity.pubkey : toHexPubkey(ref);
+    }) : null;
+
+    return {
+      name: label,
+      title: digest.title || null,
+      schedule: digest.schedule,
+      periodSeconds: periodSeconds,
+      sections: sections,
+      top: digest.top || 5,
+      pubkeys: digestPubkeys,
+      destination: digest.destination
+    };
+  });
+
+  let filters;
+  try {
+    filters = normalizeFilters(raw.filters, toHexPubkey);
+  } catch (error) {
+    throw new Error(`Filters: ${error.message}`);
+  }
+
+  let trust;
+  try {
+    trust = normalizeTrust(raw.trust, destinations);
+  } catch (error) {
+    throw new Error(`Trust: ${error.message}`);
+  }
+
+  let links;
+  try {
+    links = normalizeLinks(raw.links);
+  } catch (error) {
+    throw new Error(`Links: ${error.message}`);
+  }
+
+  let coalesce;
+  try {
+    coalesce = normalizeCoalesce(raw.coalesce);
+  } catch (error) {
+    throw new Error(`Coalesce: ${error.message}`);
+  }
+
+  return { identities, destinations, routes, digests, filters, trust, links, coalesce };
+}
+
+// Work out how an event relates to each watched identity
+function matchIdentities(config, event) {
+  const tagged = new Set(event.tags.filter(tag => tag[0] === 'p').map(tag => tag[1]));
+  const matches = [];
+  config.identities.forEach(identity => {
+    if (!identity.kinds.includes(event.kind)) return;
+    if (event.pubkey === identity.pubkey) {
+      matches.push({ identity, direction: 'own' });
+    } else if (tagged.has(identity.pubkey)) {
+      matches.push({ identity, direction: 'inbound' });
+    }
+  });
+  // Prefer the author's own view when an identity posts something tagging another identity
+  return matches.sort((a, b) => DIRECTIONS.indexOf(a.direction) - DIRECTIONS.indexOf(b.direction));
+}
+
+// Resolve every (identity, destination) pair an event should be delivered to
+function resolveDeliveries(config, event) {
+  const deliveries = [];
+  const seenDestinations = new Set();
+
+  matchIdentities(config, event).forEach(({ identity, direction }) => {
+    config.routes.forEach(route => {
+      if (route.pubkeys && !route.pubkeys.includes(identity.pubkey)) return;
+      if (route.kinds && !route.kinds.includes(event.kind)) return;
+      if (route.directions && !route.directions.includes(direction)) return;
+
+      route.destinations.forEach(name => {
+        // An event goes to each destination once, even if several identities match
+        if (seenDestinations.has(name)) return;
+        seenDestinations.add(name);
+        deliveries.push({ identity, direction, route, destination: config.destinations[name] });
+      });
+    });
+  });
+
+  return deliveries;
+}
+
+// Build combined relay filters covering every identity and kind.
+// With `deletions`, kind 5 events by (or tagging) the identities are included too.
+function buildFilters(config, { deletions = false } = {}) {
+  const ownByKind = {};
+  const inboundByKind = {};
+
+  config.identities.forEach(identity => {
+    identity.kinds.forEach(kind => {
+      if (!INBOUND_ONLY_KINDS.includes(kind)) {
+        (ownByKind[kind] = ownByKind[kind] || []).push(identity.pubkey);
+      }
+      if (INBOUND_ONLY_KINDS.includes(kind) || BIDIRECTIONAL_KINDS.includes(kind)) {
+        (inboundByKind[kind] = inboundByKind[kind] || []).push(identity.pubkey);
+      }
+    });
+  });
+
+  const filters = [];
+  Object.keys(ownByKind).forEach(kind => {
+    filters.push({ authors: ownByKind[kind], kinds: [Number(kind)] });
+  });
+  Object.keys(inboundByKind).forEach(kind => {
+    filters.push({ kinds: [Number(kind)], '#p': inboundByKind[kind] });
+  });
+  if (deletions) {
+    const pubkeys = config.identities.map(identity => identity.pubkey);
+    filters.push({ authors: pubkeys, kinds: [5] });
+    filters.push({ kinds: [5], '#p': pubkeys });
+  }
+  return filters;
+}
+
+module.exports = {
+  loadConfig,
+  configFromObject,
+  normalizeConfig,
+  toHexPubkey,
+  parseKinds,
+  matchIdentities,
+  resolveDeliveries,
+  buildFilters
+};
@@ -0,0 +1,189 @@
+const { nip19 } = require('nostr-tools');
+
+// Discord limits
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_FIELD_LENGTH = 1024;
+const MAX_EMBEDS = 10;
+
+// Wording used inside rendered content; callers pass `labels` to translate it
+const DEFAULT_LABELS = { readMore: 'Read more', note: '📝 note', article: 'article' };
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif)(\?[^\s]*)?$/i;
+
+// nostr: URIs (NIP-27), plain URLs and hashtags, in one pass
+const TOKEN_REGEX = /(nostr:(?:npub|nprofile|note|nevent|naddr)1[02-9ac-hj-np-z]+)|(https?:\/\/[^\s<>"]+)|((?<=^|\s)#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+
+// Parse NIP-92 imeta tags into { url, mimeType, alt }
+function parseImeta(event) {
+  return event.tags
+    .filter(tag => tag[0] === 'imeta')
+    .map(tag => {
+      const media = {};
+      tag.slice(1).forEach(entry => {
+        const space = entry.indexOf(' ');
+        if (space === -1) return;
+        const key = entry.slice(0, space);
+        const value = entry.slice(space + 1);
+        if (key === 'url') media.url = value;
+        if (key === 'm') media.mimeType = value;
+        if (key === 'alt') media.alt = value;
+      });
+      return media;
+    })
+    .filter(media => media.url);
+}
+
+function isImageUrl(url, imeta) {
+  const media = imeta.find(item => item.url === url);
+  if (media && media.mimeType) return media.mimeType.startsWith('image/');
+  return IMAGE_EXTENSIONS.test(url);
+}
+
+// Pubkeys referenced by nostr:npub / nostr:nprofile mentions
+function getMentionedPubkeys(content) {
+  const pubkeys = [];
+  (content || '').replace(TOKEN_REGEX, (match, uri) => {
+    if (!uri) return match;
+    try {
+      const decoded = nip19.decode(uri.slice('nostr:'.length));
+      if (decoded.type === 'npub') pubkeys.push(decoded.data);
+      if (decoded.type === 'nprofile') pubkeys.push(decoded.data.pubkey);
+    } catch (e) {
+      // Ignore malformed references
+    }
+    return match;
+  });
+  return pubkeys;
+}
+
+// Split content into text, link and mention tokens
+function tokenize(content, event, imeta, options) {
+  const tokens = [];
+  const images = [];
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ text: content.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    if (match[1]) {
+      tokens.push({ text: renderNostrUri(match[1], options) });
+    } else if (match[2]) {
+      // Keep trailing punctuation out of the URL
+      let url = match[2];
+      const trailing = url.match(/[.,;:!?)\]]+$/);
+      if (trailing) {
+        url = url.slice(0, -trailing[0].length);
+        lastIndex -= trailing[0].length;
+      }
+      if (isImageUrl(url, imeta)) {
+        images.push(url);
+      } else {
+        tokens.push({ text: url });
+      }
+    } else if (match[3]) {
+      const tag = match[3].slice(1);
+      tokens.push({ text: `[#${tag}](${options.hashtagUrl(tag.toLowerCase())})` });
+    }
+  }
+  if (lastIndex < content.length) {
+    tokens.push({ text: content.slice(lastIndex) });
+  }
+
+  // imeta media that isn't also inlined in the text
+  imeta.forEach(media => {
+    if (!images.includes(media.url) && isImageUrl(media.url, imeta)) {
+      images.push(media.url);
+    }
+  });
+
+  return { tokens, images };
+}
+
+function labelsFor(options) {
+  return Object.assign({}, DEFAULT_LABELS, options.labels);
+}
+
+// Turn a NIP-27 reference into a readable markdown link
+function renderNostrUri(uri, options) {
+  const bech32 = uri.slice('nostr:'.length);
+  let decoded;
+  try {
+    decoded = nip19.decode(bech32);
+  } catch (e) {
+    return uri;
+  }
+
+  switch (decoded.type) {
+    case 'npub':
+    case 'nprofile': {
+      const pubkey = decoded.type === 'npub' ? decoded.data : decoded.data.pubkey;
+      return `[@${options.describeProfile(pubkey).name}](${options.linkFor(nip19.npubEncode(pubkey))})`;
+    }
+    case 'note':
+    case 'nevent':
+      return `[${labelsFor(options).note}](${options.linkFor(bech32)})`;
+    case 'naddr':
+      return `[📄 ${decoded.data.identifier || labelsFor(options).article}](${options.linkFor(bech32)})`;
+    default:
+      return uri;
+  }
+}
+
+// Render note content as Discord markdown: resolved mentions, linked hashtags,
+// image URLs pulled out, and trimmed to `maxLength` without breaking a link
+function renderContent(event, options) {
+  const maxLength = options.maxLength || MAX_DESCRIPTION_LENGTH;
+  const content = event.content || '';
+  const imeta = parseImeta(event);
+  const { tokens, images } = tokenize(content, event, imeta, options);
+
+  const full = tokens.map(token => token.text).join('').replace(/\n{3,}/g, '\n\n').trim();
+  if (full.length <= maxLength) {
+    return { text: full, images, truncated: false };
+  }
+
+  const suffix = options.readMoreUrl ? `… [${labelsFor(options).readMore}](${options.readMoreUrl})` : '…';
+  const budget = maxLength - suffix.length;
+  let text = '';
+  for (const token of tokens) {
+    if (text.length + token.text.length <= budget) {
+      text += token.text;
+      continue;
+    }
+    // Plain text can be cut mid-way; links and mentions are all-or-nothing
+    if (!token.text.startsWith('[')) {
+      const room = token.text.slice(0, budget - text.length);
+      const lastSpace = room.lastIndexOf(' ');
+      text += lastSpace > room.length * 0.6 ? room.slice(0, lastSpace) : room;
+    }
+    break;
+  }
+  return { text: text.trimEnd() + suffix, images, truncated: true };
+}
+
+// Build the main embed plus image-only embeds for extra pictures.
+// Discord shows embeds that share a `url` as one gallery.
+function attachImages(embed, images, galleryUrl, maxEmbeds = MAX_EMBEDS) {
+  if (images.length === 0) return [embed];
+  embed.image = { url: images[0] };
+  const extra = images.slice(1, maxEmbeds).map(url => ({ url: galleryUrl, image: { url } }));
+  if (extra.length > 0) {
+    embed.url = galleryUrl;
+  }
+  return [embed].concat(extra);
+}
+
+module.exports = {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_FIELD_LENGTH,
+  MAX_EMBEDS,
+  parseImeta,
+  getMentionedPubkeys,
+  renderContent,
+  attachImages
+};
@@ -0,0 +1,93 @@
+const { createLogger } = require('./logger');
+
+// Tiny cron: standard 5-field expressions (minute hour day-of-month month
+// day-of-week) with *, lists, ranges and steps, evaluated in local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    let start, end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max;
+    }
+    if ([start, end, step].some(isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+// Parse an expression into a matcher; throws on anything malformed
+function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" needs 5 fields`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  const restrictDay = parts[2] !== '*';
+  const restrictWeekday = parts[4] !== '*';
+
+  return function matches(date) {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+      return false;
+    }
+    // Classic cron: when both day fields are restricted, either may match
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    if (restrictDay && restrictWeekday) return dayMatch || weekdayMatch;
+    if (restrictDay) return dayMatch;
+    if (restrictWeekday) return weekdayMatch;
+    return true;
+  };
+}
+
+// Run `task` every minute that matches `expression`; returns a stop function
+function schedule(expression, task, log = createLogger()) {
+  const matches = parseCron(expression);
+  let timer = null;
+
+  function tick() {
+    const now = new Date();
+    if (matches(now)) {
+      Promise.resolve().then(() => task(now)).catch(error => {
+        log.error(`❌ Scheduled task "${expression}" failed`, { error });
+      });
+    }
+    // Re-align to the start of the next minute every time
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+  }
+
+  timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+  return () => clearTimeout(timer);
+}
+
+module.exports = { parseCron, schedule };
@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { getSink } = require('./sinks');
+const { createLogger } = require('./logger');
+
+// Outbound webhook queue: one worker per webhook URL, persisted to disk so
+// nothing queued is lost on restart. Each item's sink (lib/sinks) turns it
+// into the actual request. Honors rate limits (Discord's headers, 429s),
+// backs off on 5xx/network errors and parks hopeless messages in a
+// dead-letter file (JSON lines) for an operator to inspect and replay.
+// Items may also edit (PATCH) or delete (DELETE) a message posted earlier.
+// An edit of a message that is gone (404) is skipped and handed to `onGone`.
+// `onAttempt` sees every request with its outcome and duration, for metrics.
+// `prepare(item)` runs before each send and may still pick the item's thread.
+// Log lines carry the item's event ID and destination, to follow one event through.
+function createDeliveryQueue({
+  file,
+  deadLetterFile,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  onDelivered = () => {},
+  onDeadLetter = () => {},
+  onGone = () => {},
+  onAttempt = () => {},
+  prepare = async () => {},
+  log = createLogger()
+} = {}) {
+  const workers = new Map();
+  let pending = [];
+  let idleWaiters = [];
+  // While paused nothing is sent; items stay queued (and on disk) until resume()
+  let paused = false;
+
+  // Restore anything that was still queued when the bot stopped
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      pending = Array.isArray(data.items) ? data.items : [];
+      if (pending.length > 0) {
+        log.info(`📮 Restored ${pending.length} queued deliveries`);
+      }
+    } catch (error) {
+      log.error(`❌ Could not read queue file ${file}`, { error });
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ items: pending }));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      log.error(`❌ Could not write queue file ${file}`, { error });
+    }
+  }
+
+  function fieldsOf(item) {
+    return { eventId: item.eventId, destination: item.destination };
+  }
+
+  function has(key) {
+    return pending.some(item => item.key === key);
+  }
+
+  // Queue a payload for a webhook; `key` identifies the delivery for dedup.
+  // `messageId` is required for PATCH and DELETE; `meta` is passed back to onDelivered.
+  // `threadId` sends into an existing thread, `threadName` starts a forum post.
+  // `sink` and `headers` come from the destination's sink target (Discord when omitted).
+  function enqueue({ key, url, payload, eventId, destination, sink = 'discord', headers = null, method = 'POST', messageId = null, threadId = null, threadName = null, meta = null }) {
+    if (has(key)) return false;
+    const item = {
+      key: key,
+      sink: sink,
+      url: url,
+      headers: headers,
+      payload: payload,
+      eventId: eventId,
+      destination: destination,
+      method: method,
+      messageId: messageId,
+      threadId: threadId,
+      threadName: threadName,
+      meta: meta,
+      attempts: 0,
+      queuedAt: Date.now()
+    };
+    pending.push(item);
+    save();
+    getWorker(url).kick();
+    return true;
+  }
+
+  // Swap the payload (and `meta`, when given) of a still-queued item, so a newer version goes out
+  // instead; false if it isn't queued
+  function update(key, payload, meta) {
+    const item = pending.find(other => other.key === key);
+    if (!item) return false;
+    item.payload = payload;
+    if (meta !== undefined) item.meta = meta;
+    save();
+    return true;
+  }
+
+  function remove(item) {
+    pending = pending.filter(other => other !== item);
+    save();
+    if (pending.length === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  // Resolves once every queued item has been delivered or dead-lettered
+  function drain() {
+    if (pending.length === 0) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  function deadLetter(item, reason) {
+    remove(item);
+    const entry = Object.assign({}, item, { lastError: reason, failedAt: Date.now() });
+    log.error(`☠️ Giving up on ${item.key} after ${item.attempts} attempt(s): ${reason}`, fieldsOf(item));
+    if (deadLetterFile) {
+      try {
+        fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+        fs.appendFileSync(deadLetterFile, JSON.stringify(entry) + '\n');
+      } catch (error) {
+        log.error(`❌ Could not write dead-letter file ${deadLetterFile}`, { error });
+      }
+    }
+    onDeadLetter(entry);
+  }
+
+  function backoffDelay(attempts) {
+    const delay = Math.min(baseDelayMs * Math.pow(2, attempts - 1), maxDelayMs);
+    // Jitter so several webhooks recovering together don't retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // One worker per webhook URL; it sends that webhook's items strictly in order
+  function getWorker(url) {
+    if (workers.has(url)) return workers.get(url);
+
+    let running = false;
+    let blockedUntil = 0;
+    let timer = null;
+
+    function kick() {
+      if (paused || running || timer) return;
+      const wait = blockedUntil - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          kick();
+        }, wait);
+        return;
+      }
+      running = true;
+      run().catch(error => {
+        // Never retry straight away after a crash, that would spin without yielding
+        log.error('❌ Delivery worker crashed', { error });
+        blockedUntil = Date.now() + baseDelayMs;
+      }).then(() => {
+        running = false;
+        if (pending.some(item => item.url === url)) kick();
+      });
+    }
+
+    async function run() {
+      let item;
+      while (!paused && (item = pending.find(other => other.url === url))) {
+        const outcome = await attempt(item);
+        if (outcome.retryAfterMs) {
+          blockedUntil = Date.now() + outcome.retryAfterMs;
+          return;
+        }
+        if (outcome.bucketResetMs) {
+          // Bucket exhausted: hold the next request until Discord resets it
+          blockedUntil = Date.now() + outcome.bucketResetMs;
+          return;
+        }
+      }
+    }
+
+    // Drop a planned retry; nothing is sent until the next kick
+    function stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    const worker = { kick, stop };
+    workers.set(url, worker);
+    return worker;
+  }
+
+  // Send one item and decide what happens next from Discord's response
+  async function attempt(item) {
+    const method = item.method || 'POST';
+    try {
+      await prepare(item);
+    } catch (error) {
+      log.warn(`⚠️ Could not prepare ${item.key}`, Object.assign(fieldsOf(item), { error }));
+    }
+    const sink = getSink(item.sink);
+    if (!sink) {
+      deadLetter(item, `Unknown sink "${item.sink}"`);
+      return {};
+    }
+    let request;
+    try {
+      request = sink.request(item);
+    } catch (error) {
+      // A malformed item (bad URL, payload the sink can't build) won't fix itself
+      item.attempts++;
+      deadLetter(item, `Could not build request: ${error.message}`);
+      return {};
+    }
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: request.method,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, request.headers),
+        body: request.body
+      });
+    } catch (error) {
+      onAttempt(item, { status: 'network', durationMs: Date.now() - startedAt });
+      return retryLater(item, error.message || error.toString());
+    }
+    onAttempt(item, { status: response.status, durationMs: Date.now() - startedAt });
+    log.debug(`${request.method} ${item.key}: HTTP ${response.status} in ${Date.now() - startedAt}ms`, fieldsOf(item));
+
+    const bucketResetMs = parseRateLimitHeaders(response.headers);
+
+    // A message someone already removed by hand needs no deleting
+    if (response.ok || (method === 'DELETE' && response.status === 404)) {
+      if (method === 'POST') {
+        let posted = {};
+        try {
+          posted = sink.parseResponse(await response.json().catch(() => null)) || {};
+        } catch (error) {
+          log.warn(`⚠️ Could not read the response to ${item.key}`, Object.assign(fieldsOf(item), { error }));
+        }
+        item.messageId = posted.messageId || null;
+        item.channelId = posted.channelId || null;
+      }
+      remove(item);
+      onDelivered(item, response);
+      return { bucketResetMs };
+    }
+
+    // An edit of a message someone removed by hand has nothing left to edit
+    if (method === 'PATCH' && response.status === 404) {
+      log.warn(`🗑️ Message ${item.messageId} for ${item.key} is gone, skipping the edit`, fieldsOf(item));
+      remove(item);
+      onGone(item);
+      return { bucketResetMs };
+    }
+
+    if (response.status === 429) {
+      // Rate limited: wait exactly as long as Discord asks, this doesn't count as a failure
+      const body = await response.json().catch(() => ({}));
+      let retryAfter = null;
+      try {
+        retryAfter = sink.retryAfter(body);
+      } catch (error) {
+        // Fall back to the Retry-After header
+      }
+      retryAfter = retryAfter || parseFloat(response.headers.get('retry-after')) || 1;
+      log.warn(`⏳ Rate limited on ${item.destination || 'webhook'}, retrying in ${retryAfter}s`, fieldsOf(item));
+      return { retryAfterMs: Math.ceil(retryAfter * 1000) };
+    }
+
+    const detail = await response.text().catch(() => '');
+    const reason = `HTTP ${response.status} ${response.statusText}${detail ? `: ${detail.slice(0, 200)}` : ''}`;
+
+    if (response.status >= 500) {
+      return retryLater(item, reason);
+    }
+
+    // Other 4xx errors (bad payload, deleted webhook...) won't fix themselves
+    item.attempts++;
+    deadLetter(item, reason);
+    return { bucketResetMs };
+  }
+
+  function retryLater(item, reason) {
+    item.attempts++;
+    item.lastError = reason;
+    if (item.attempts >= maxAttempts) {
+      deadLetter(item, reason);
+      return {};
+    }
+    save();
+    const delay = backoffDelay(item.attempts);
+    log.warn(`⚠️ Delivery of ${item.key} failed (${reason}), attempt ${item.attempts}/${maxAttempts}, retrying in ${Math.round(delay / 1000)}s`, fieldsOf(item));
+    return { retryAfterMs: delay };
+  }
+
+  // Resume workers for anything restored from disk
+  function start() {
+    new Set(pending.map(item => item.url)).forEach(url => getWorker(url).kick());
+  }
+
+  function pause() {
+    paused = true;
+  }
+
+  function resume() {
+    paused = false;
+    start();
+  }
+
+  // Stop sending for good (on shutdown); what is still queued stays on disk
+  function stop() {
+    paused = true;
+    workers.forEach(worker => worker.stop());
+  }
+
+  load();
+
+  return {
+    enqueue,
+    update,
+    has,
+    start,
+    drain,
+    pause,
+    resume,
+    stop,
+    get paused() {
+      return paused;
+    },
+    get size() {
+      return pending.length;
+    },
+    // Queued items per destination, for metrics
+    countByDestination() {
+      const counts = {};
+      pending.forEach(item => {
+        counts[item.destination] = (counts[item.destination] || 0) + 1;
+      });
+      return counts;
+    }
+  };
+}
+
+// Milliseconds to wait when the webhook's rate-limit bucket is empty, otherwise 0
+function parseRateLimitHeaders(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  const resetAfter = headers.get('x-ratelimit-reset-after');
+  if (remaining !== null && parseInt(remaining) === 0 && resetAfter !== null) {
+    return Math.ceil(parseFloat(resetAfter) * 1000);
+  }
+  return 0;
+}
+
+// Read every parked message from a dead-letter file
+function readDeadLetters(deadLetterFile) {
+  if (!fs.existsSync(deadLetterFile)) return [];
+  return fs.readFileSync(deadLetterFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+// Replace the dead-letter file contents (used after a replay)
+function writeDeadLetters(deadLetterFile, entries) {
+  fs.writeFileSync(deadLetterFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+module.exports = { createDeliveryQueue, parseRateLimitHeaders, readDeadLetters, writeDeadLetters };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { loadLocale } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const SECTIONS = ['totalSats', 'topZappers', 'topNotes', 'reactions', 'reposts'];
+
+const PERIODS = {
+  daily: 24 * 60 * 60,
+  weekly: 7 * 24 * 60 * 60
+};
+
+// Period name or a number of hours, in seconds
+function parsePeriod(period) {
+  if (PERIODS[period]) return PERIODS[period];
+  const hours = parseFloat(period);
+  if (isNaN(hours) || hours <= 0) {
+    throw new Error(`Invalid digest period "${period}" (use daily, weekly or a number of hours)`);
+  }
+  return Math.round(hours * 60 * 60);
+}
+
+// Rolling log of zaps, reactions and reposts used to build digests.
+// Records older than `retentionSeconds` are pruned on every save.
+function createStatsStore({ file, retentionSeconds = 8 * 24 * 60 * 60, saveDelayMs = 5000, log = createLogger() } = {}) {
+  let records = [];
+  let saveTimer = null;
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      records = Array.isArray(data.records) ? data.records : [];
+    } catch (error) {
+      log.error(`❌ Could not read stats file ${file}`, { error });
+    }
+  }
+
+  function prune() {
+    const cutoff = Math.floor(Date.now() / 1000) - retentionSeconds;
+    records = records.filter(record => record.at >= cutoff);
+  }
+
+  function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    prune();
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ records }));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      log.error(`❌ Could not write stats file ${file}`, { error });
+    }
+  }
+
+  // record: { id, type: 'zap'|'reaction'|'repost', at, identity, actor, target, amountMsat, emoji }
+  function add(record) {
+    if (records.some(other => other.id === record.id && other.identity === record.identity)) return;
+    records.push(record);
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, saveDelayMs);
+    }
+  }
+
+  function query({ since, until, identities }) {
+    return records.filter(record =>
+      record.at >= since && record.at < until &&
+      (!identities || identities.includes(record.identity)));
+  }
+
+  return { add, query, save };
+}
+
+// Count and sum values grouped by key, largest first
+function rank(records, keyOf, valueOf) {
+  const totals = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    if (!key) return;
+    const entry = totals.get(key) || { key, count: 0, total: 0 };
+    entry.count++;
+    entry.total += valueOf ? valueOf(record) : 1;
+    totals.set(key, entry);
+  });
+  return Array.from(totals.values()).sort((a, b) => b.total - a.total || b.count - a.count);
+}
+
+// Discord rejects field values over 1024 characters; drop whole lines instead
+function fitField(lines, emptyText) {
+  if (lines.length === 0) return emptyText;
+  let value = '';
+  for (const line of lines) {
+    if (value.length + line.length + 1 > 1024) break;
+    value += (value ? '\n' : '') + line;
+  }
+  return value;
+}
+
+// Build the digest embed for a set of records.
+// `helpers.mention(pubkey)` and `helpers.noteLabel(id)` turn keys into markdown;
+// `helpers.t` supplies the wording (English when left out).
+function buildDigest(records, { title, sections = SECTIONS, top = 5, since, until, helpers }) {
+  const t = helpers.t || loadLocale('en');
+  const sats = msat => t.number(Math.floor(msat / 1000));
+  const zaps = records.filter(record => record.type === 'zap');
+  const reactions = records.filter(record => record.type === 'reaction');
+  const reposts = records.filter(record => record.type === 'repost');
+  const fields = [];
+
+  if (sections.includes('totalSats')) {
+    const totalMsat = zaps.reduce((sum, zap) => sum + (zap.amountMsat || 0), 0);
+    const zappers = new Set(zaps.map(zap => zap.actor).filter(Boolean)).size;
+    fields.push({
+      name: t('digest.totalSats'),
+      value: t('digest.totalSatsValue', { sats: sats(totalMsat), zaps: zaps.length, zappers: zappers })
+    });
+  }
+
+  if (sections.includes('topZappers')) {
+    const zappers = rank(zaps, zap => zap.actor, zap => zap.amountMsat || 0).slice(0, top);
+    fields.push({
+      name: t('digest.topZappers'),
+      value: fitField(
+        zappers.map((entry, i) => t('digest.zapperLine', { rank: i + 1, who: helpers.mention(entry.key), sats: sats(entry.total), count: entry.count })),
+        t('digest.noZaps')
+      )
+    });
+  }
+
+  if (sections.includes('topNotes')) {
+    const notes = rank(zaps, zap => zap.target, zap => zap.amountMsat || 0).slice(0, top);
+    fields.push({
+      name: t('digest.topNotes'),
+      value: fitField(
+        notes.map((entry, i) => t('digest.noteLine', { rank: i + 1, note: helpers.noteLabel(entry.key), sats: sats(entry.total) })),
+        t('digest.noNotes')
+      )
+    });
+  }
+
+  if (sections.includes('reactions')) {
+    const emoji = rank(reactions, reaction => reaction.emoji || '+').slice(0, 8);
+    fields.push({
+      name: t('digest.reactions'),
+      value: reactions.length > 0
+        ? t('digest.reactionsValue', { count: reactions.length, emoji: emoji.map(entry => `${entry.key} ×${entry.count}`).join(', ') })
+        : t('digest.noReactions'),
+      inline: true
+    });
+  }
+
+  if (sections.includes('reposts')) {
+    fields.push({ name: t('digest.reposts'), value: `**${reposts.length}**`, inline: true });
+  }
+
+  return {
+    title: title,
+    description: `<t:${since}:f> → <t:${until}:f>`,
+    color: 16753920, // Orange
+    fields: fields,
+    timestamp: new Date(until * 1000).toISOString(),
+    footer: { text: t('digest.footer') }
+  };
+}
+
+module.exports = { SECTIONS, parsePeriod, createStatsStore, buildDigest };
@@ -0,0 +1,57 @@
+const { validateEvent, verifySignature } = require('nostr-tools');
+
+// Private messages addressed to a key the bot holds: NIP-04 (kind 4) and NIP-17
+// (a kind 14 or 15 message, sealed in a kind 13 by its sender and gift-wrapped
+// in a kind 1059 signed by a throwaway key). `keys` is a signer from lib/signer.
+
+const GIFT_WRAP = 1059;
+const SEAL = 13;
+const DM_KINDS = [4, GIFT_WRAP];
+// Kinds that must never reach a public route
+const PRIVATE_KINDS = [4, SEAL, 14, 15, GIFT_WRAP];
+// NIP-59 backdates gift wraps by up to two days, so subscriptions look back that far
+const GIFT_WRAP_SKEW_SECONDS = 2 * 24 * 60 * 60;
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${what} is not JSON`);
+  }
+}
+
+// Resolves to { id, sender, content, tags, createdAt, protocol }, or null for
+// gift wraps that hold something other than a direct message
+async function openDirectMessage(event, keys) {
+  if (event.kind === 4) {
+    return {
+      id: event.id,
+      sender: event.pubkey,
+      content: await keys.nip04Decrypt(event.pubkey, event.content),
+      tags: event.tags,
+      createdAt: event.created_at,
+      protocol: 'nip04'
+    };
+  }
+
+  const seal = parseJson(await keys.nip44Decrypt(event.pubkey, event.content), 'Gift wrap');
+  if (seal.kind !== SEAL || !validateEvent(seal) || !verifySignature(seal)) {
+    throw new Error('Gift wrap holds no valid seal');
+  }
+  const rumor = parseJson(await keys.nip44Decrypt(seal.pubkey, seal.content), 'Seal');
+  // The rumor is unsigned; the seal's signature is what proves who sent it
+  if (rumor.pubkey !== seal.pubkey) {
+    throw new Error('Sealed message claims a different author than its seal');
+  }
+  if (rumor.kind !== 14 && rumor.kind !== 15) return null;
+  return {
+    id: event.id,
+    sender: seal.pubkey,
+    content: String(rumor.content || ''),
+    tags: Array.isArray(rumor.tags) ? rumor.tags : [],
+    createdAt: rumor.created_at,
+    protocol: 'nip17'
+  };
+}
+
+module.exports = { DM_KINDS, PRIVATE_KINDS, GIFT_WRAP_SKEW_SECONDS, openDirectMessage };
@@ -0,0 +1,86 @@
+const fetch = require('node-fetch');
+
+// Checks behind `npm run doctor`. Each resolves to { status, detail } with status
+// pass, warn or fail; the report logs them as they come in and sums them up.
+//
+// Command-line options:
+//   --events <n>   how many recent events to fetch per watched identity (default 5)
+
+const DEFAULT_EVENTS = 5;
+const TIMEOUT_MS = 5000;
+const ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+const LEVELS = { pass: 'info', warn: 'warn', fail: 'error' };
+
+function parseDoctorArgs(args) {
+  const options = { events: DEFAULT_EVENTS };
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--events') {
+      options.events = parseInt(args[++index]);
+      if (!(options.events > 0)) throw new Error('--events must be a positive number');
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Whether a websocket connection to the relay opens in time
+async function checkRelay(pool, url, timeoutMs = TIMEOUT_MS) {
+  const started = Date.now();
+  let timeout;
+  try {
+    await Promise.race([
+      pool.ensureRelay(url),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error(`timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+      })
+    ]);
+    return { status: 'pass', detail: `connected in ${Date.now() - started}ms` };
+  } catch (error) {
+    return { status: 'fail', detail: error && error.message ? error.message : 'connection failed' };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// A GET the sink expects to succeed (see `probe` in lib/sinks), so nothing gets posted
+async function checkDestination(sink, destination, timeoutMs = TIMEOUT_MS) {
+  const probe = sink.probe(destination);
+  if (!probe) {
+    return { status: 'warn', detail: `${sink.name} destinations can't be checked without posting` };
+  }
+  try {
+    const response = await fetch(probe.url, { headers: probe.headers, timeout: timeoutMs });
+    if (response.ok) {
+      return { status: 'pass', detail: `answered ${response.status}` };
+    }
+    const body = (await response.text()).slice(0, 200);
+    return { status: 'fail', detail: `answered ${response.status}${body ? `: ${body}` : ''}` };
+  } catch (error) {
+    return { status: 'fail', detail: error.message };
+  }
+}
+
+function createReport(log) {
+  const counts = { pass: 0, warn: 0, fail: 0 };
+
+  function add(name, { status, detail }) {
+    counts[status]++;
+    log[LEVELS[status]](`${ICONS[status]} ${name}: ${detail}`);
+  }
+
+  function summary() {
+    return `🩺 Doctor: ${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed`;
+  }
+
+  return {
+    add,
+    summary,
+    get failed() {
+      return counts.fail > 0;
+    }
+  };
+}
+
+module.exports = { DEFAULT_EVENTS, parseDoctorArgs, checkRelay, checkDestination, createReport };
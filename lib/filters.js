@@ -0,0 +1,229 @@
+const { decodeInvoice } = require('./bolt11');
+
+// Kinds whose content is not free text (reactions, reposts, zap receipts)
+const NON_TEXT_KINDS = [6, 7, 16, 9735];
+// Kinds that answer someone else's post
+const REPLY_KINDS = [1, 1111];
+
+const LIST_RULES = [
+  'includeKeywords',
+  'excludeKeywords',
+  'includeRegex',
+  'excludeRegex',
+  'allowPubkeys',
+  'blockPubkeys',
+  'allowedReactions',
+  'includeHashtags',
+  'excludeHashtags'
+];
+
+// "+", "👍" and an empty reaction all mean a like; configured and received reactions go through this
+function normalizeReaction(emoji) {
+  return emoji === '' || emoji === '👍' ? '+' : emoji;
+}
+
+// Accept "/pattern/flags" or a bare pattern (matched case-insensitively)
+function compileRegex(source) {
+  const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    // Stateful flags would make repeated .test() calls unreliable
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`Invalid filter regex ${source}: ${error.message}`);
+  }
+}
+
+// Validate the `filters` config section; `toHexPubkey` resolves npubs
+function normalizeFilters(raw, toHexPubkey) {
+  const filters = {};
+  if (!raw) return filters;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('"filters" must be an object');
+  }
+
+  Object.keys(raw).forEach(name => {
+    if (!LIST_RULES.includes(name) && name !== 'minZapSats' && name !== 'repliesFromFollowsOnly') {
+      throw new Error(`Unknown filter rule "${name}"`);
+    }
+  });
+
+  LIST_RULES.forEach(name => {
+    if (raw[name] === undefined) return;
+    const values = [].concat(raw[name]).map(String).filter(value => value.length > 0);
+    if (values.length === 0) return;
+    filters[name] = values;
+  });
+
+  ['includeKeywords', 'excludeKeywords'].forEach(name => {
+    if (filters[name]) filters[name] = filters[name].map(word => word.toLowerCase());
+  });
+  ['includeHashtags', 'excludeHashtags'].forEach(name => {
+    if (filters[name]) filters[name] = filters[name].map(tag => tag.replace(/^#/, '').toLowerCase());
+  });
+  ['includeRegex', 'excludeRegex'].forEach(name => {
+    if (filters[name]) filters[name] = filters[name].map(compileRegex);
+  });
+  ['allowPubkeys', 'blockPubkeys'].forEach(name => {
+    if (filters[name]) filters[name] = filters[name].map(toHexPubkey);
+  });
+  if (filters.allowedReactions) {
+    filters.allowedReactions = filters.allowedReactions.map(normalizeReaction);
+  }
+
+  if (raw.minZapSats !== undefined) {
+    const minZapSats = Number(raw.minZapSats);
+    if (isNaN(minZapSats) || minZapSats < 0) {
+      throw new Error(`Invalid minZapSats "${raw.minZapSats}"`);
+    }
+    filters.minZapSats = minZapSats;
+  }
+  if (raw.repliesFromFollowsOnly) {
+    filters.repliesFromFollowsOnly = raw.repliesFromFollowsOnly === true || raw.repliesFromFollowsOnly === 'true';
+  }
+
+  return filters;
+}
+
+// Read filters from FILTER_* env variables (comma-separated lists)
+function filtersFromEnv(env) {
+  const raw = {};
+  const envNames = {
+    includeKeywords: 'FILTER_INCLUDE_KEYWORDS',
+    excludeKeywords: 'FILTER_EXCLUDE_KEYWORDS',
+    includeRegex: 'FILTER_INCLUDE_REGEX',
+    excludeRegex: 'FILTER_EXCLUDE_REGEX',
+    allowPubkeys: 'FILTER_ALLOW_PUBKEYS',
+    blockPubkeys: 'FILTER_BLOCK_PUBKEYS',
+    allowedReactions: 'FILTER_ALLOWED_REACTIONS',
+    includeHashtags: 'FILTER_INCLUDE_HASHTAGS',
+    excludeHashtags: 'FILTER_EXCLUDE_HASHTAGS'
+  };
+  Object.keys(envNames).forEach(name => {
+    const value = env[envNames[name]];
+    if (value) {
+      // Regexes may contain commas, so they are split on "||" instead
+      raw[name] = name.endsWith('Regex') ? value.split('||') : value.split(',').map(item => item.trim());
+    }
+  });
+  if (env.FILTER_MIN_ZAP_SATS) raw.minZapSats = env.FILTER_MIN_ZAP_SATS;
+  if (env.FILTER_REPLIES_FROM_FOLLOWS_ONLY) raw.repliesFromFollowsOnly = env.FILTER_REPLIES_FROM_FOLLOWS_ONLY;
+  return raw;
+}
+
+function zapAmountSats(event) {
+  const bolt11 = event.tags.find(tag => tag[0] === 'bolt11');
+  if (bolt11 && bolt11[1]) {
+    try {
+      const invoice = decodeInvoice(bolt11[1]);
+      if (invoice.amountMsat !== null) return Math.floor(invoice.amountMsat / 1000);
+    } catch (e) {
+      // Fall through to the zap request amount
+    }
+  }
+  const description = event.tags.find(tag => tag[0] === 'description');
+  try {
+    const zapRequest = JSON.parse(description[1]);
+    const amount = zapRequest.tags.find(tag => tag[0] === 'amount');
+    return Math.floor(parseInt(amount[1]) / 1000) || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Build the rule checker. `check(event, matches)` returns null to keep the
+// event, or { rule, reason } naming the rule that dropped it. `matches` are
+// the identities the event relates to (see config.matchIdentities).
+function createRulesEngine(filters, { isFollowedBy = () => true, hasFollowList = () => false } = {}) {
+  const rules = [];
+
+  // Pubkey lists never drop the watched identities' own events
+  if (filters.blockPubkeys) {
+    rules.push(['blockPubkeys', (event, context) =>
+      !context.isOwn && filters.blockPubkeys.includes(event.pubkey) && 'author is blocked']);
+  }
+  if (filters.allowPubkeys) {
+    rules.push(['allowPubkeys', (event, context) =>
+      !context.isOwn && !filters.allowPubkeys.includes(event.pubkey) && 'author is not on the allow list']);
+  }
+
+  if (filters.minZapSats) {
+    rules.push(['minZapSats', event => {
+      if (event.kind !== 9735) return false;
+      const sats = zapAmountSats(event);
+      return sats < filters.minZapSats && `zap of ${sats} sats is below ${filters.minZapSats}`;
+    }]);
+  }
+
+  if (filters.allowedReactions) {
+    rules.push(['allowedReactions', event => {
+      if (event.kind !== 7) return false;
+      const emoji = normalizeReaction(event.content);
+      return !filters.allowedReactions.includes(emoji) && `reaction "${emoji}" is not allowed`;
+    }]);
+  }
+
+  if (filters.repliesFromFollowsOnly) {
+    rules.push(['repliesFromFollowsOnly', (event, context) => {
+      if (!REPLY_KINDS.includes(event.kind) || context.isOwn) return false;
+      // Without a contact list there's nobody to compare against, so let it through
+      const owners = context.inbound.filter(owner => hasFollowList(owner));
+      if (owners.length === 0) return false;
+      return !owners.some(owner => isFollowedBy(owner, event.pubkey)) && 'author is not followed';
+    }]);
+  }
+
+  const textRule = (name, test) => {
+    rules.push([name, event => !NON_TEXT_KINDS.includes(event.kind) && test(event)]);
+  };
+  if (filters.includeKeywords) {
+    textRule('includeKeywords', event => {
+      const content = (event.content || '').toLowerCase();
+      return !filters.includeKeywords.some(word => content.includes(word)) && 'no required keyword';
+    });
+  }
+  if (filters.excludeKeywords) {
+    textRule('excludeKeywords', event => {
+      const content = (event.content || '').toLowerCase();
+      const word = filters.excludeKeywords.find(keyword => content.includes(keyword));
+      return word && `contains "${word}"`;
+    });
+  }
+  if (filters.includeRegex) {
+    textRule('includeRegex', event =>
+      !filters.includeRegex.some(regex => regex.test(event.content || '')) && 'no required pattern matched');
+  }
+  if (filters.excludeRegex) {
+    textRule('excludeRegex', event => {
+      const regex = filters.excludeRegex.find(pattern => pattern.test(event.content || ''));
+      return regex && `matches ${regex}`;
+    });
+  }
+
+  const hashtagsOf = event => event.tags.filter(tag => tag[0] === 't' && tag[1]).map(tag => tag[1].toLowerCase());
+  if (filters.includeHashtags) {
+    textRule('includeHashtags', event =>
+      !hashtagsOf(event).some(tag => filters.includeHashtags.includes(tag)) && 'no required hashtag');
+  }
+  if (filters.excludeHashtags) {
+    textRule('excludeHashtags', event => {
+      const tag = hashtagsOf(event).find(hashtag => filters.excludeHashtags.includes(hashtag));
+      return tag && `tagged #${tag}`;
+    });
+  }
+
+  function check(event, matches) {
+    const context = {
+      isOwn: matches.some(match => match.direction === 'own'),
+      inbound: matches.filter(match => match.direction === 'inbound').map(match => match.identity.pubkey)
+    };
+    for (const [rule, test] of rules) {
+      const reason = test(event, context);
+      if (reason) return { rule, reason };
+    }
+    return null;
+  }
+
+  return { check, size: rules.length };
+}
+
+module.exports = { normalizeFilters, filtersFromEnv, createRulesEngine };
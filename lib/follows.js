@@ -0,0 +1,140 @@
+const { createLogger } = require('./logger');
+
+// Contact lists (kind 3) and mute lists (kind 10000) of the watched
+// identities, used to tell people they follow apart from strangers.
+// With `depth: 2` the contact lists of everyone they follow are loaded too.
+
+// Keep relay requests to a reasonable number of authors each
+const AUTHORS_PER_FILTER = 250;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Newest event per author from a list of replaceable events
+function newestByAuthor(events) {
+  const newest = new Map();
+  events.forEach(event => {
+    const existing = newest.get(event.pubkey);
+    if (!existing || existing.created_at < event.created_at) {
+      newest.set(event.pubkey, event);
+    }
+  });
+  return newest;
+}
+
+function taggedValues(event, name) {
+  return event.tags.filter(tag => tag[0] === name && tag[1]).map(tag => tag[1]);
+}
+
+function createFollowGraph({ pool, relays, depth = 1, log = createLogger() }) {
+  // A function for `relays` is asked again on every lookup
+  const relayList = () => (typeof relays === 'function' ? relays() : relays);
+  // owner pubkey -> { follows: Set, createdAt }
+  const lists = new Map();
+  // owner pubkey -> Set of pubkeys followed by the owner's follows
+  const secondDegree = new Map();
+  // owner pubkey -> { pubkeys: Set, words: [], hashtags: Set, createdAt }
+  const mutes = new Map();
+
+  async function fetchNewest(kind, authors) {
+    const events = [];
+    for (const authorChunk of chunk(authors, AUTHORS_PER_FILTER)) {
+      events.push(...await pool.list(relayList(), [{ kinds: [kind], authors: authorChunk }]));
+    }
+    return newestByAuthor(events);
+  }
+
+  // Fetch the newest contact and mute lists for each owner (and their follows at depth 2)
+  async function refresh(owners) {
+    let contactLists, muteLists;
+    try {
+      [contactLists, muteLists] = await Promise.all([fetchNewest(3, owners), fetchNewest(10000, owners)]);
+    } catch (error) {
+      log.error('❌ Error fetching contact lists', { error });
+      return;
+    }
+
+    owners.forEach(owner => {
+      const contacts = contactLists.get(owner);
+      const existing = lists.get(owner);
+      if (contacts && (!existing || existing.createdAt < contacts.created_at)) {
+        const follows = new Set(taggedValues(contacts, 'p'));
+        lists.set(owner, { follows, createdAt: contacts.created_at });
+        log.info(`👥 Loaded ${follows.size} follows for ${owner.slice(0, 8)}...`);
+      }
+
+      // Only public mute entries can be read without the owner's key
+      const muteList = muteLists.get(owner);
+      const existingMutes = mutes.get(owner);
+      if (muteList && (!existingMutes || existingMutes.createdAt < muteList.created_at)) {
+        mutes.set(owner, {
+          pubkeys: new Set(taggedValues(muteList, 'p')),
+          words: taggedValues(muteList, 'word').map(word => word.toLowerCase()),
+          hashtags: new Set(taggedValues(muteList, 't').map(tag => tag.toLowerCase())),
+          createdAt: muteList.created_at
+        });
+        log.info(`🔇 Loaded mute list for ${owner.slice(0, 8)}... (${mutes.get(owner).pubkeys.size} pubkeys)`);
+      }
+    });
+
+    if (depth >= 2) {
+      await refreshSecondDegree(owners);
+    }
+  }
+
+  async function refreshSecondDegree(owners) {
+    for (const owner of owners) {
+      const list = lists.get(owner);
+      if (!list) continue;
+      try {
+        const contactLists = await fetchNewest(3, Array.from(list.follows));
+        const reachable = new Set();
+        contactLists.forEach(event => taggedValues(event, 'p').forEach(pubkey => reachable.add(pubkey)));
+        secondDegree.set(owner, reachable);
+        log.info(`🕸️ Loaded ${reachable.size} follows-of-follows for ${owner.slice(0, 8)}...`);
+      } catch (error) {
+        log.error('❌ Error fetching follows-of-follows', { error });
+      }
+    }
+  }
+
+  function hasList(owner) {
+    return lists.has(owner);
+  }
+
+  function isFollowedBy(owner, pubkey) {
+    const list = lists.get(owner);
+    return !!list && list.follows.has(pubkey);
+  }
+
+  // How close `pubkey` is to `owner`: self, follow, follow-of-follow or unknown
+  function trustLevel(owner, pubkey) {
+    if (pubkey === owner) return 'self';
+    if (isFollowedBy(owner, pubkey)) return 'follow';
+    const reachable = secondDegree.get(owner);
+    if (reachable && reachable.has(pubkey)) return 'follow-of-follow';
+    return 'unknown';
+  }
+
+  // Reason the owner's mute list hides this event, or null
+  function mutedReason(owner, event) {
+    const list = mutes.get(owner);
+    if (!list) return null;
+    if (list.pubkeys.has(event.pubkey)) return 'author is muted';
+    const content = (event.content || '').toLowerCase();
+    const word = list.words.find(muted => content.includes(muted));
+    if (word) return `contains muted word "${word}"`;
+    const hashtag = taggedValues(event, 't').find(tag => list.hashtags.has(tag.toLowerCase()));
+    if (hashtag) return `tagged muted #${hashtag}`;
+    return null;
+  }
+
+  return { refresh, hasList, isFollowedBy, trustLevel, mutedReason };
+}
+
+module.exports = { createFollowGraph };
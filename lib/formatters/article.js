@@ -0,0 +1,38 @@
+const { tagValue } = require('./tags');
+
+const SUMMARY_LENGTH = 600;
+
+// Long-form articles (NIP-23): title, summary and cover image instead of raw markdown
+function format(event, identity, context) {
+  const t = context.t;
+  const title = tagValue(event, 'title') || t('article.untitled');
+  const summary = tagValue(event, 'summary');
+  const image = tagValue(event, 'image');
+  const publishedAt = parseInt(tagValue(event, 'published_at')) || event.created_at;
+  const { link, linksText } = context.addressLink(event);
+  const isOwn = event.pubkey === identity.pubkey;
+
+  const description = summary
+    ? summary.slice(0, SUMMARY_LENGTH)
+    : context.renderContent(event, { readMoreUrl: link, maxLength: SUMMARY_LENGTH }).text;
+
+  const embed = {
+    title: `📰 ${title}`.slice(0, 256),
+    url: link,
+    description: description,
+    color: 10181046, // Dark purple
+    timestamp: new Date(publishedAt * 1000).toISOString(),
+    footer: { text: publishedAt !== event.created_at ? t('article.footerUpdated') : t('article.footerNew') },
+    fields: [{ name: t('common.links'), value: t('article.readOn', { links: linksText }) }]
+  };
+  if (image) {
+    embed.image = { url: image };
+  }
+  if (!isOwn) {
+    embed.author = context.actorAuthor(event.pubkey);
+  }
+
+  return Object.assign(context.sender(event, identity, t('article.username')), { embeds: [embed] });
+}
+
+module.exports = { kinds: [30023], format };
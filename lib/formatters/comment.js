@@ -0,0 +1,41 @@
+const { attachImages, MAX_DESCRIPTION_LENGTH } = require('../content');
+const { tagValue } = require('./tags');
+
+// Comments (NIP-22 kind 1111) on notes, articles or external content
+function format(event, identity, context) {
+  const t = context.t;
+  const isOwn = event.pubkey === identity.pubkey;
+  const link = context.eventLink(event.id);
+  const prefix = isOwn ? '' : t('comment.prefix');
+  const rendered = context.renderContent(event, { readMoreUrl: link, maxLength: MAX_DESCRIPTION_LENGTH - prefix.length });
+
+  const embed = {
+    description: prefix + rendered.text,
+    color: isOwn ? 3447003 : 65280, // Blue for your own, green for someone else's
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: isOwn ? t('comment.footerOwn') : t('comment.footerInbound') },
+    fields: [{ name: t('common.links'), value: context.viewerLinks(event.id).linksText }]
+  };
+  if (!isOwn) {
+    embed.author = context.actorAuthor(event.pubkey);
+  }
+
+  // The parent note if we have it, otherwise whatever the thread is about
+  const quoteField = context.quoteField(event);
+  const rootCoordinate = tagValue(event, 'A');
+  const rootExternal = tagValue(event, 'I');
+  if (quoteField) {
+    embed.fields.unshift(quoteField);
+  } else if (rootCoordinate && context.coordinateLink(rootCoordinate)) {
+    const name = rootCoordinate.split(':').slice(2).join(':') || t('common.article');
+    embed.fields.unshift({ name: t('comment.on'), value: `[${name}](${context.coordinateLink(rootCoordinate)})` });
+  } else if (rootExternal && /^https?:\/\//.test(rootExternal)) {
+    embed.fields.unshift({ name: t('comment.onWeb'), value: rootExternal });
+  }
+
+  return Object.assign(context.sender(event, identity, t('comment.username')), {
+    embeds: attachImages(embed, rendered.images, link)
+  });
+}
+
+module.exports = { kinds: [1111], format };
@@ -0,0 +1,50 @@
+const { tagValue } = require('./tags');
+
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// File metadata (NIP-94 kind 1063): what was shared, with a preview for images
+function format(event, identity, context) {
+  const t = context.t;
+  const url = tagValue(event, 'url');
+  const mimeType = tagValue(event, 'm') || t('file.unknownType');
+  const size = parseInt(tagValue(event, 'size'));
+  const dimensions = tagValue(event, 'dim');
+  const caption = context.renderContent(event, { readMoreUrl: context.eventLink(event.id), maxLength: 2000 }).text;
+  const summary = tagValue(event, 'summary') || tagValue(event, 'alt');
+
+  const fields = [{ name: t('file.type'), value: mimeType, inline: true }];
+  if (size) fields.push({ name: t('file.size'), value: formatSize(size), inline: true });
+  if (dimensions) fields.push({ name: t('file.dimensions'), value: dimensions, inline: true });
+  if (url) fields.push({ name: t('file.download'), value: url.slice(0, 1024) });
+  fields.push({ name: t('common.links'), value: context.viewerLinks(event.id).linksText });
+
+  const embed = {
+    title: t('file.title'),
+    url: url || undefined,
+    description: [caption, summary && summary !== caption ? `*${summary}*` : null].filter(Boolean).join('\n\n') || undefined,
+    color: 1752220, // Teal
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: t('file.footer') },
+    fields: fields
+  };
+  const preview = mimeType.startsWith('image/') ? url : tagValue(event, 'image') || tagValue(event, 'thumb');
+  if (preview) {
+    embed.image = { url: preview };
+  }
+  if (event.pubkey !== identity.pubkey) {
+    embed.author = context.actorAuthor(event.pubkey);
+  }
+
+  return Object.assign(context.sender(event, identity, t('file.username')), { embeds: [embed] });
+}
+
+module.exports = { kinds: [1063], format };
@@ -0,0 +1,37 @@
+const { tagValue } = require('./tags');
+
+// Generic reposts (NIP-18 kind 16) of anything other than a text note
+function format(event, identity, context) {
+  const t = context.t;
+  // The locale names the kinds people usually repost with kind 16 (repost.kind.<kind>)
+  const kindKey = `repost.kind.${parseInt(tagValue(event, 'k'))}`;
+  const what = t(kindKey) !== kindKey ? t(kindKey) : t('repost.kind.post');
+  const eventId = tagValue(event, 'e');
+  const coordinate = tagValue(event, 'a');
+
+  const label = t('repost.yourKind', { kind: what });
+  let target = label;
+  if (coordinate) {
+    const link = context.coordinateLink(coordinate);
+    if (link) target = `[${label}](${link})`;
+  } else if (eventId) {
+    target = `[${label}](${context.eventLink(eventId)})`;
+  }
+
+  const embed = {
+    author: context.actorAuthor(event.pubkey),
+    description: t('repost.description', { actor: context.actorMention(event.pubkey), target: target }),
+    color: 3066993, // Green
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: t('repost.footer') }
+  };
+
+  const quoteField = context.quoteField(event);
+  if (quoteField) {
+    embed.fields = [quoteField];
+  }
+
+  return Object.assign(context.sender(event, identity, t('repost.username')), { embeds: [embed] });
+}
+
+module.exports = { kinds: [16], format };
@@ -0,0 +1,54 @@
+const { tagValue } = require('./tags');
+
+function quote(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+// Highlights (NIP-84 kind 9802): a passage someone marked in a note, article or web page
+function format(event, identity, context) {
+  const t = context.t;
+  const isOwn = event.pubkey === identity.pubkey;
+  const coordinate = tagValue(event, 'a');
+  const eventId = tagValue(event, 'e');
+  const url = tagValue(event, 'r');
+  const comment = tagValue(event, 'comment');
+
+  let source = null;
+  if (coordinate && context.coordinateLink(coordinate)) {
+    source = `[${isOwn ? t('highlight.anArticle') : t('highlight.yourArticle')}](${context.coordinateLink(coordinate)})`;
+  } else if (eventId) {
+    source = `[${isOwn ? t('highlight.aNote') : t('highlight.yourNote')}](${context.eventLink(eventId)})`;
+  } else if (url) {
+    source = url;
+  }
+
+  const lines = [];
+  if (isOwn) {
+    lines.push(source ? t('highlight.ownFrom', { source }) : t('highlight.own'));
+  } else {
+    lines.push(t('highlight.inbound', { actor: context.actorMention(event.pubkey), source: source || t('highlight.yourWriting') }));
+  }
+  lines.push(quote((event.content || '').slice(0, 2000)));
+  const surrounding = tagValue(event, 'context');
+  if (surrounding && surrounding !== event.content) {
+    lines.push(`*…${surrounding.slice(0, 500)}…*`);
+  }
+  if (comment) {
+    lines.push(`💬 ${comment.slice(0, 1000)}`);
+  }
+
+  const embed = {
+    description: lines.join('\n\n'),
+    color: 16766720, // Gold
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: t('highlight.footer') },
+    fields: [{ name: t('common.links'), value: context.viewerLinks(event.id).linksText }]
+  };
+  if (!isOwn) {
+    embed.author = context.actorAuthor(event.pubkey);
+  }
+
+  return Object.assign(context.sender(event, identity, t('highlight.username')), { embeds: [embed] });
+}
+
+module.exports = { kinds: [9802], format };
@@ -0,0 +1,41 @@
+const article = require('./article');
+const genericRepost = require('./generic-repost');
+const comment = require('./comment');
+const picture = require('./picture');
+const liveEvent = require('./live-event');
+const fileMetadata = require('./file-metadata');
+const highlight = require('./highlight');
+
+// Formatters that ship with the bot, on top of the classic kinds formatted in lib/bridge.js.
+// Each is { kinds, format(event, identity, context), actors?(event) }: `format`
+// returns a Discord webhook payload, `actors` lists extra pubkeys whose
+// profiles should be loaded before formatting.
+const BUILTIN_FORMATTERS = [article, genericRepost, comment, picture, liveEvent, fileMetadata, highlight];
+
+// Kind -> formatter lookup; later registrations replace earlier ones
+function createFormatterRegistry(formatters = []) {
+  const byKind = new Map();
+
+  function register(formatter) {
+    if (!Array.isArray(formatter.kinds) || typeof formatter.format !== 'function') {
+      throw new Error('A formatter needs a kinds array and a format function');
+    }
+    formatter.kinds.forEach(kind => byKind.set(Number(kind), formatter));
+  }
+
+  function get(kind) {
+    return byKind.get(kind) || null;
+  }
+
+  formatters.forEach(register);
+
+  return {
+    register,
+    get,
+    get kinds() {
+      return Array.from(byKind.keys());
+    }
+  };
+}
+
+module.exports = { BUILTIN_FORMATTERS, createFormatterRegistry };
@@ -0,0 +1,59 @@
+const { MAX_FIELD_LENGTH } = require('../content');
+const { tagValue, discordTime } = require('./tags');
+
+const STATUS_COLORS = {
+  planned: 3447003, // Blue
+  live: 15158332, // Red
+  ended: 9807270 // Gray
+};
+
+function hosts(event) {
+  const participants = event.tags.filter(tag => tag[0] === 'p' && tag[1]);
+  const marked = participants.filter(tag => (tag[3] || '').toLowerCase() === 'host');
+  return (marked.length > 0 ? marked : participants.slice(0, 1)).map(tag => tag[1]);
+}
+
+// Live activities (NIP-53 kind 30311). Each status change is a new version of
+// the same address, so the original message is edited as the stream goes live and ends.
+function format(event, identity, context) {
+  const t = context.t;
+  const status = STATUS_COLORS[tagValue(event, 'status')] ? tagValue(event, 'status') : 'planned';
+  const { naddr, link, links } = context.addressLink(event);
+  const starts = parseInt(tagValue(event, 'starts'));
+  const ends = parseInt(tagValue(event, 'ends'));
+  const streaming = tagValue(event, 'streaming');
+  const participants = tagValue(event, 'current_participants');
+
+  const fields = [{ name: t('live.status'), value: t(`live.status.${status}`), inline: true }];
+  if (starts) fields.push({ name: t('live.starts'), value: discordTime(starts), inline: true });
+  if (ends) fields.push({ name: t('live.ends'), value: discordTime(ends), inline: true });
+  if (participants) fields.push({ name: t('live.watching'), value: participants, inline: true });
+  const hostPubkeys = hosts(event);
+  if (hostPubkeys.length > 0) {
+    fields.push({ name: t('live.host'), value: hostPubkeys.map(context.actorMention).join(', ') });
+  }
+  // zap.stream and the stream itself come first; the clients share what's left of the field
+  const watchLinks = [`[zap.stream](https://zap.stream/${naddr})`];
+  if (streaming && /^https?:\/\//.test(streaming)) watchLinks.push(`[${t('live.stream')}](${streaming})`);
+  const room = MAX_FIELD_LENGTH - t('live.watchOn', { links: `${watchLinks.join(' | ')} | ` }).length;
+  watchLinks.splice(1, 0, context.clientLinks(links, room));
+  fields.push({ name: t('common.links'), value: t('live.watchOn', { links: watchLinks.join(' | ') }) });
+
+  const embed = {
+    title: `🎥 ${tagValue(event, 'title') || t('live.untitled')}`.slice(0, 256),
+    url: link,
+    description: (tagValue(event, 'summary') || '').slice(0, 1000) || undefined,
+    color: STATUS_COLORS[status],
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: t('live.footer') },
+    fields: fields
+  };
+  const image = tagValue(event, 'image');
+  if (image) {
+    embed.image = { url: image };
+  }
+
+  return Object.assign(context.sender(event, identity, t('live.username')), { embeds: [embed] });
+}
+
+module.exports = { kinds: [30311], format, actors: hosts };
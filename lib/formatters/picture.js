@@ -0,0 +1,30 @@
+const { attachImages, MAX_DESCRIPTION_LENGTH } = require('../content');
+const { tagValue } = require('./tags');
+
+// Picture posts (NIP-68 kind 20): the images are the post, the text is a caption
+function format(event, identity, context) {
+  const t = context.t;
+  const link = context.eventLink(event.id);
+  const title = tagValue(event, 'title');
+  const rendered = context.renderContent(event, { readMoreUrl: link, maxLength: MAX_DESCRIPTION_LENGTH });
+
+  const embed = {
+    description: rendered.text || undefined,
+    color: 15277667, // Pink
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    footer: { text: rendered.images.length > 1 ? t('picture.footerMany', { count: rendered.images.length }) : t('picture.footer') },
+    fields: [{ name: t('common.links'), value: context.viewerLinks(event.id).linksText }]
+  };
+  if (title) {
+    embed.title = title.slice(0, 256);
+  }
+  if (event.pubkey !== identity.pubkey) {
+    embed.author = context.actorAuthor(event.pubkey);
+  }
+
+  return Object.assign(context.sender(event, identity, t('picture.username')), {
+    embeds: attachImages(embed, rendered.images, link)
+  });
+}
+
+module.exports = { kinds: [20], format };
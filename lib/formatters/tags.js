@@ -0,0 +1,24 @@
+const { nip19 } = require('nostr-tools');
+
+// First value of a tag, or null
+function tagValue(event, name) {
+  const tag = event.tags.find(item => item[0] === name && item[1] !== undefined);
+  return tag ? tag[1] : null;
+}
+
+// Unix timestamp tag as a Discord timestamp (rendered in the reader's timezone)
+function discordTime(seconds, style = 'f') {
+  return `<t:${seconds}:${style}>`;
+}
+
+// naddr for an `a` tag coordinate ("kind:pubkey:d"), or null if it's malformed
+function coordinateToNaddr(coordinate, relays) {
+  const [kind, pubkey, ...identifier] = coordinate.split(':');
+  try {
+    return nip19.naddrEncode({ kind: parseInt(kind), pubkey, identifier: identifier.join(':'), relays });
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { tagValue, discordTime, coordinateToNaddr };
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { interpolate } = require('./templates');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+function readBundle(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read locale bundle ${file}: ${error.message}`);
+  }
+}
+
+// Load the built-in wording for a locale: a bundle name from locales/ ("de")
+// or a path to a JSON file. Keys the bundle leaves out fall back to English.
+function loadLocale(locale = 'en') {
+  const english = readBundle(path.join(LOCALES_DIR, 'en.json'));
+  const file = locale.endsWith('.json') ? path.resolve(locale) : path.join(LOCALES_DIR, `${locale}.json`);
+  const bundle = locale === 'en' ? {} : readBundle(file);
+
+  // A key English doesn't have is a typo that would otherwise go unnoticed
+  Object.keys(bundle).forEach(key => {
+    if (!(key in english)) {
+      throw new Error(`Locale ${locale} has unknown key "${key}"`);
+    }
+  });
+  const strings = Object.assign({}, english, bundle);
+
+  function t(key, vars = {}) {
+    if (!(key in strings)) return key;
+    return interpolate(strings[key], vars);
+  }
+
+  // Numbers (sats, counts) in the locale's style
+  t.number = value => Number(value).toLocaleString(strings['meta.numberFormat']);
+
+  return t;
+}
+
+module.exports = { loadLocale };
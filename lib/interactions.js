@@ -0,0 +1,172 @@
+const http = require('http');
+const fetch = require('node-fetch');
+const { ed25519 } = require('@noble/curves/ed25519');
+const { createLogger } = require('./logger');
+
+// Discord interactions endpoint for the slash commands that post to Nostr.
+// Discord signs every request with the application's Ed25519 key; requests
+// that don't verify are refused, as Discord requires.
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// Interaction and response types (https://discord.com/developers/docs/interactions)
+const PING = 1;
+const APPLICATION_COMMAND = 2;
+const PONG = 1;
+const CHANNEL_MESSAGE = 4;
+const DEFERRED_CHANNEL_MESSAGE = 5;
+const EPHEMERAL = 64;
+
+const STRING = 3;
+const EVENT_OPTION = { type: STRING, name: 'event', description: 'note1…, nevent1… or hex ID', required: true };
+
+const COMMANDS = [
+  {
+    name: 'note',
+    description: 'Publish a note on Nostr',
+    options: [{ type: STRING, name: 'text', description: 'What to post', required: true }]
+  },
+  {
+    name: 'reply',
+    description: 'Reply to a Nostr event',
+    options: [EVENT_OPTION, { type: STRING, name: 'text', description: 'Your reply', required: true }]
+  },
+  {
+    name: 'react',
+    description: 'React to a Nostr event',
+    options: [EVENT_OPTION, { type: STRING, name: 'emoji', description: 'Reaction (default +)', required: false }]
+  },
+  {
+    name: 'repost',
+    description: 'Repost a Nostr event',
+    options: [EVENT_OPTION]
+  }
+];
+
+// `onCommand(name, options, user)` publishes and resolves to the message shown in
+// the channel; it's only called for members with one of `allowedRoles`.
+function createInteractionsServer({
+  port,
+  host = '0.0.0.0',
+  applicationId,
+  publicKey,
+  allowedRoles,
+  onCommand,
+  messages,
+  apiBase = DISCORD_API,
+  log = createLogger()
+}) {
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function verified(req, body) {
+    const signature = req.headers['x-signature-ed25519'];
+    const timestamp = req.headers['x-signature-timestamp'];
+    if (!signature || !timestamp) return false;
+    try {
+      return ed25519.verify(signature, Buffer.from(timestamp + body), publicKey);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Replace the "thinking…" placeholder of a deferred response
+  async function editResponse(interaction, message) {
+    const response = await fetch(`${apiBase}/webhooks/${applicationId}/${interaction.token}/messages/@original`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      log.error(`❌ Could not update the /${interaction.data.name} response: ${response.status} ${await response.text()}`);
+    }
+  }
+
+  async function runCommand(interaction, user) {
+    const options = {};
+    (interaction.data.options || []).forEach(option => {
+      options[option.name] = option.value;
+    });
+    try {
+      await editResponse(interaction, await onCommand(interaction.data.name, options, user));
+    } catch (error) {
+      log.error(`❌ /${interaction.data.name} from ${user.username} failed: ${error.message}`);
+      await editResponse(interaction, { content: messages.failed(error.message) });
+    }
+  }
+
+  function handleInteraction(interaction, res) {
+    if (interaction.type === PING) {
+      return send(res, 200, { type: PONG });
+    }
+    if (interaction.type !== APPLICATION_COMMAND) {
+      return send(res, 400, { error: 'Unsupported interaction' });
+    }
+
+    // Roles only exist in servers, so commands sent in DMs are refused too
+    const member = interaction.member;
+    const user = member ? member.user : interaction.user;
+    if (!member || !member.roles.some(role => allowedRoles.includes(role))) {
+      log.warn(`🚫 ${user ? user.username : 'Unknown user'} may not use /${interaction.data.name}`);
+      return send(res, 200, { type: CHANNEL_MESSAGE, data: { content: messages.notAllowed(), flags: EPHEMERAL } });
+    }
+
+    log.info(`📤 /${interaction.data.name} from ${user.username}`);
+    // Discord wants an answer within 3 seconds, so acknowledge now and publish afterwards
+    send(res, 200, { type: DEFERRED_CHANNEL_MESSAGE });
+    runCommand(interaction, user).catch(error => log.error('❌ Interaction error', { error }));
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (req.method !== 'POST') return send(res, 404, { error: 'Not found' });
+      if (!verified(req, body)) return send(res, 401, { error: 'Invalid request signature' });
+      let interaction;
+      try {
+        interaction = JSON.parse(body);
+      } catch (error) {
+        return send(res, 400, { error: 'Invalid JSON' });
+      }
+      handleInteraction(interaction, res);
+    });
+  });
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        log.info(`🤖 Discord interactions endpoint on http://${host}:${server.address().port}`);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return { start, stop };
+}
+
+// Create or update the slash commands, for one server (instant) or globally
+async function registerCommands({ applicationId, botToken, guildId, apiBase = DISCORD_API }) {
+  const url = guildId
+    ? `${apiBase}/applications/${applicationId}/guilds/${guildId}/commands`
+    : `${apiBase}/applications/${applicationId}/commands`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bot ${botToken}` },
+    body: JSON.stringify(COMMANDS)
+  });
+  if (!response.ok) {
+    throw new Error(`Discord answered ${response.status}: ${await response.text()}`);
+  }
+}
+
+module.exports = { DISCORD_API, COMMANDS, createInteractionsServer, registerCommands };
@@ -0,0 +1,163 @@
+const { nip19 } = require('nostr-tools');
+
+// Web clients that links in Discord messages can point to. Each pattern names
+// the NIP-19 entity it takes ({note}, {nevent}, {naddr} or {npub}), which also
+// decides whether it's used for events, addresses or profiles.
+const BUILTIN_PROVIDERS = {
+  nostria: { label: 'Nostria', patterns: ['https://nostria.app/e/{nevent}', 'https://nostria.app/a/{naddr}', 'https://nostria.app/p/{npub}'] },
+  yakihonne: { label: 'YakiHonne', patterns: ['https://yakihonne.com/notes/{nevent}', 'https://yakihonne.com/article/{naddr}', 'https://yakihonne.com/profile/{npub}'] },
+  njump: { label: 'njump', patterns: ['https://njump.me/{nevent}', 'https://njump.me/{naddr}', 'https://njump.me/{npub}'] },
+  primal: { label: 'Primal', patterns: ['https://primal.net/e/{note}', 'https://primal.net/a/{naddr}', 'https://primal.net/p/{npub}'] },
+  coracle: { label: 'Coracle', patterns: ['https://coracle.social/{nevent}', 'https://coracle.social/{naddr}', 'https://coracle.social/{npub}'] },
+  snort: { label: 'Snort', patterns: ['https://snort.social/{nevent}', 'https://snort.social/{naddr}', 'https://snort.social/p/{npub}'] },
+  iris: { label: 'Iris', patterns: ['https://iris.to/{note}', 'https://iris.to/{naddr}', 'https://iris.to/{npub}'] }
+};
+
+// What each placeholder links to
+const INPUTS = { note: 'event', nevent: 'event', naddr: 'address', npub: 'profile' };
+
+const DEFAULT_PROVIDERS = ['nostria', 'yakihonne'];
+
+// Relay hints per nevent/naddr link
+const MAX_RELAY_HINTS = 2;
+
+function parsePattern(pattern, where) {
+  const inputs = Array.from(String(pattern).matchAll(/\{(\w+)\}/g), match => match[1]);
+  if (!/^https?:\/\//.test(pattern) || inputs.length !== 1 || !INPUTS[inputs[0]]) {
+    throw new Error(`${where}: pattern "${pattern}" must be an http(s) URL with one of {note}, {nevent}, {naddr} or {npub}`);
+  }
+  return { target: INPUTS[inputs[0]], input: inputs[0], pattern };
+}
+
+// Validate the `links` config section: { providers: [names], custom: { name: { label, patterns } } }
+function normalizeLinks(raw) {
+  const links = Object.assign({ providers: DEFAULT_PROVIDERS, custom: {} }, raw || {});
+  const known = Object.assign({}, BUILTIN_PROVIDERS, links.custom);
+  if (!Array.isArray(links.providers) || links.providers.length === 0) {
+    throw new Error('"providers" must list at least one link provider');
+  }
+
+  const providers = links.providers.map(name => {
+    const provider = known[name];
+    if (!provider) {
+      throw new Error(`Unknown link provider "${name}" (built in: ${Object.keys(BUILTIN_PROVIDERS).join(', ')})`);
+    }
+    if (!Array.isArray(provider.patterns) || provider.patterns.length === 0) {
+      throw new Error(`Link provider "${name}" needs a list of patterns`);
+    }
+    const normalized = { name, label: provider.label || name };
+    provider.patterns.forEach(pattern => {
+      const parsed = parsePattern(pattern, `Link provider "${name}"`);
+      if (normalized[parsed.target]) {
+        throw new Error(`Link provider "${name}" has more than one ${parsed.target} pattern`);
+      }
+      normalized[parsed.target] = parsed;
+    });
+    return normalized;
+  });
+  if (!providers.some(provider => provider.event)) {
+    throw new Error('At least one link provider needs a {note} or {nevent} pattern');
+  }
+  return { providers };
+}
+
+// LINK_PROVIDERS=njump,primal,mine and LINK_PROVIDER_MINE="https://… https://…";
+// the old PREFERRED_CLIENT (nostria, yakihonne or all) still works
+function linksFromEnv(env) {
+  let providers = DEFAULT_PROVIDERS;
+  if (env.LINK_PROVIDERS) {
+    providers = env.LINK_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  } else if (env.PREFERRED_CLIENT && env.PREFERRED_CLIENT !== 'all') {
+    providers = [env.PREFERRED_CLIENT.toLowerCase()];
+  }
+  const custom = {};
+  providers.forEach(name => {
+    const value = env[`LINK_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    if (value) {
+      custom[name] = { label: name, patterns: value.split(/\s+/).filter(Boolean) };
+    }
+  });
+  return { providers, custom };
+}
+
+// Builds client links for events, addresses and profiles from the configured
+// providers. `seenOn(id)` returns the relays an event arrived from, which are
+// used as the nevent/naddr relay hints; `fallbackRelays` fill in otherwise.
+function createLinkBuilder({ providers, seenOn = () => [], fallbackRelays = [] }) {
+  function relayHints(eventId) {
+    const seen = eventId ? seenOn(eventId) : [];
+    return (seen.length > 0 ? seen : fallbackRelays).slice(0, MAX_RELAY_HINTS);
+  }
+
+  // Encode an entity into whatever input the pattern takes
+  function render(parsed, entity) {
+    let value;
+    switch (parsed.input) {
+      case 'note':
+        value = nip19.noteEncode(entity.id);
+        break;
+      case 'nevent':
+        value = nip19.neventEncode({ id: entity.id, relays: entity.relays, author: entity.author });
+        break;
+      case 'naddr':
+        value = nip19.naddrEncode({ kind: entity.kind, pubkey: entity.pubkey, identifier: entity.identifier, relays: entity.relays });
+        break;
+      case 'npub':
+        value = nip19.npubEncode(entity.pubkey);
+        break;
+    }
+    return parsed.pattern.replace(`{${parsed.input}}`, value);
+  }
+
+  // [{ label, url }] for every provider that can show this kind of entity
+  function linksFor(target, entity) {
+    return providers
+      .filter(provider => provider[target])
+      .map(provider => ({ label: provider.label, url: render(provider[target], entity) }));
+  }
+
+  function eventLinks(eventId) {
+    return linksFor('event', { id: eventId, relays: relayHints(eventId) });
+  }
+
+  // `eventId` is the version of the address we saw, for its relay hints
+  function addressLinks({ kind, pubkey, identifier }, eventId) {
+    return linksFor('address', { kind, pubkey, identifier, relays: relayHints(eventId) });
+  }
+
+  function profileLinks(pubkey) {
+    return linksFor('profile', { pubkey });
+  }
+
+  // First provider's link for any NIP-19 string, or njump if none of them fits
+  function entityLink(bech32) {
+    let links = [];
+    try {
+      const { type, data } = nip19.decode(bech32);
+      if (type === 'npub') links = profileLinks(data);
+      else if (type === 'nprofile') links = profileLinks(data.pubkey);
+      else if (type === 'note') links = eventLinks(data);
+      else if (type === 'nevent') links = linksFor('event', { id: data.id, author: data.author, relays: data.relays && data.relays.length > 0 ? data.relays : relayHints(data.id) });
+      else if (type === 'naddr') links = linksFor('address', Object.assign({}, data, { relays: data.relays && data.relays.length > 0 ? data.relays : relayHints() }));
+    } catch (error) {
+      // Fall through to njump, which shows an error page for anything it can't read
+    }
+    return links.length > 0 ? links[0].url : `https://njump.me/${bech32}`;
+  }
+
+  return { eventLinks, addressLinks, profileLinks, entityLink, relayHints };
+}
+
+// Markdown list of links, e.g. "[Nostria](…) | [Primal](…)". The last providers are
+// dropped when the list would run past `maxLength`; the first one is always kept.
+function formatLinkList(links, maxLength = Infinity) {
+  let text = '';
+  for (const link of links) {
+    const next = `${text ? `${text} | ` : ''}[${link.label}](${link.url})`;
+    if (text && next.length > maxLength) break;
+    text = next;
+  }
+  return text;
+}
+
+module.exports = { BUILTIN_PROVIDERS, normalizeLinks, linksFromEnv, createLinkBuilder, formatLinkList };
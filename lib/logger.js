@@ -0,0 +1,114 @@
+// Leveled logging for the bot and its components. Lines are either the usual
+// emoji text or, with `format: 'json'`, one JSON object per line for log
+// aggregators. Every line passes through redaction first, so webhook URLs,
+// tokens and keys never reach the output, whichever message they end up in.
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+const FORMATS = ['pretty', 'json'];
+const REDACTED = '[redacted]';
+
+// Secrets that can be recognized without being registered
+const SECRET_PATTERNS = [
+  // Discord and Slack webhook tokens, Telegram bot tokens in API paths
+  [/(\/webhooks\/\d+\/)[\w-]+/g, `$1${REDACTED}`],
+  [/(hooks\.slack\.com\/(?:services|workflows|triggers)\/)[\w/-]+/g, `$1${REDACTED}`],
+  [/(\/bot)\d+:[\w-]+/g, `$1${REDACTED}`],
+  [/nsec1[02-9ac-hj-np-z]+/g, `nsec1${REDACTED}`],
+  [/(bunker:\/\/[^\s"]*[?&]secret=)[^&\s"]+/g, `$1${REDACTED}`]
+];
+
+// LOG_LEVEL=info,relay:debug,delivery:trace → { level, components }
+function parseLogLevel(value) {
+  const result = { level: 'info', components: {} };
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [first, second] = entry.split(':');
+    const level = second === undefined ? first : second;
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+    }
+    if (second === undefined) result.level = level;
+    else result.components[first] = level;
+  });
+  return result;
+}
+
+// `write(level, line)` defaults to stdout, with warnings and errors on stderr
+function defaultWrite(level, line) {
+  if (level === 'warn' || level === 'error') process.stderr.write(line + '\n');
+  else process.stdout.write(line + '\n');
+}
+
+function errorText(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+// Root logger; `child({ component, ...fields })` derives loggers whose fields
+// (component, eventId…) go into every line they write
+function createLogger({ level = 'info', components = {}, format = 'pretty', write = defaultWrite } = {}) {
+  if (!LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+  if (!FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (use ${FORMATS.join(', ')})`);
+  // Shared by every child, so a secret registered anywhere is hidden everywhere
+  const secrets = new Set();
+
+  function redact(text) {
+    let result = text;
+    secrets.forEach(secret => {
+      result = result.split(secret).join(REDACTED);
+    });
+    SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+      result = result.replace(pattern, replacement);
+    });
+    return result;
+  }
+
+  function render(levelName, bound, message, fields) {
+    const { error, ...rest } = fields || {};
+    if (format === 'json') {
+      const entry = Object.assign({ time: new Date().toISOString(), level: levelName }, bound, rest, { msg: message });
+      if (error !== undefined) {
+        entry.error = error instanceof Error ? { message: error.message, stack: error.stack } : String(error);
+      }
+      return JSON.stringify(entry);
+    }
+    let line = levelName === 'debug' || levelName === 'trace' ? `[${levelName.toUpperCase()}] ${message}` : message;
+    if (error !== undefined) {
+      // Stack traces only help while debugging; the message is enough otherwise
+      const verbose = LEVELS.indexOf(thresholdFor(bound.component)) <= LEVELS.indexOf('debug');
+      line += `: ${verbose && error instanceof Error && error.stack ? error.stack : errorText(error)}`;
+    }
+    return line;
+  }
+
+  function thresholdFor(component) {
+    return (component && components[component]) || level;
+  }
+
+  function build(bound) {
+    function enabled(levelName) {
+      return LEVELS.indexOf(levelName) >= LEVELS.indexOf(thresholdFor(bound.component));
+    }
+
+    function log(levelName, message, fields) {
+      if (!enabled(levelName)) return;
+      write(levelName, redact(render(levelName, bound, String(message), fields)));
+    }
+
+    const logger = {
+      enabled,
+      child: fields => build(Object.assign({}, bound, fields)),
+      // Hide a value (webhook URL, token…) from all output from now on
+      addSecret(secret) {
+        if (typeof secret === 'string' && secret.length >= 8) secrets.add(secret);
+      },
+      redact
+    };
+    LEVELS.forEach(levelName => {
+      logger[levelName] = (message, fields) => log(levelName, message, fields);
+    });
+    return logger;
+  }
+
+  return build({});
+}
+
+module.exports = { LEVELS, FORMATS, parseLogLevel, createLogger };
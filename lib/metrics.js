@@ -0,0 +1,106 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function createMetrics({ prefix = 'nostr2discord_' } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Values are kept per label combination; `labels` is an object keyed by label name
+  function series(metric, labels, create) {
+    const key = labelKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) {
+      const picked = {};
+      metric.labelNames.forEach(name => {
+        picked[name] = labels && labels[name] !== undefined ? labels[name] : '';
+      });
+      metric.series.set(key, Object.assign({ labels: picked }, create()));
+    }
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = define('counter', name, help, labelNames);
+    return {
+      inc(labels, amount = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  // `collect()` runs before each render, for gauges read from elsewhere (queue size, relay state)
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = define('gauge', name, help, labelNames);
+    const api = {
+      set(labels, value) {
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      reset() {
+        metric.series.clear();
+      }
+    };
+    metric.collect = collect ? () => collect(api) : null;
+    return api;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = define('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const entry = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach(metric => {
+      if (metric.collect) metric.collect();
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach(entry => {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${labelString(entry.labels)} ${entry.value}`);
+          return;
+        }
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${labelString(Object.assign({}, entry.labels, { le: bound }))} ${entry.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${labelString(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+        lines.push(`${metric.name}_sum${labelString(entry.labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${labelString(entry.labels)} ${entry.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,55 @@
+// Helpers for keeping Discord messages in step with their Nostr events:
+// replaceable events edit their earlier message, NIP-09 deletions remove it.
+
+const { MAX_DESCRIPTION_LENGTH } = require('./content');
+
+const DELETION_MODES = ['delete', 'strike', 'off'];
+
+// `kind:pubkey:d` for replaceable and addressable events, null otherwise
+function getEventAddress(event) {
+  const kind = event.kind;
+  if (kind >= 30000 && kind < 40000) {
+    const d = event.tags.find(tag => tag[0] === 'd');
+    return `${kind}:${event.pubkey}:${d && d[1] ? d[1] : ''}`;
+  }
+  if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) {
+    return `${kind}:${event.pubkey}:`;
+  }
+  return null;
+}
+
+// Event IDs and addresses a kind 5 deletion asks to remove. Only the author
+// may delete their own events, so addresses of other pubkeys are ignored.
+function getDeletionTargets(deletion) {
+  const ids = deletion.tags.filter(tag => tag[0] === 'e' && tag[1]).map(tag => tag[1]);
+  const addresses = deletion.tags
+    .filter(tag => tag[0] === 'a' && tag[1] && tag[1].split(':')[1] === deletion.pubkey)
+    .map(tag => (tag[1].split(':').length === 2 ? `${tag[1]}:` : tag[1]));
+  return { ids, addresses };
+}
+
+// Strike each line (Discord's ~~ doesn't span lines), staying within the description limit
+function strike(text) {
+  if (!text) return text;
+  let struck = '';
+  for (const line of text.split('\n')) {
+    const next = (struck ? '\n' : '') + (line.trim() ? `~~${line}~~` : line);
+    if (struck.length + next.length > MAX_DESCRIPTION_LENGTH - 2) return `${struck}\n…`;
+    struck += next;
+  }
+  return struck;
+}
+
+// Turn a message payload into its struck-through "deleted" version, with `note` as the footer
+function strikeThrough(payload, note) {
+  // Gallery embeds only carry the extra images of the deleted note, so they go
+  const embeds = (payload.embeds || []).slice(0, 1).map(embed => Object.assign({}, embed, {
+    description: strike(embed.description),
+    color: 9807270, // Gray
+    image: undefined,
+    footer: { text: note }
+  }));
+  return Object.assign({}, payload, { embeds });
+}
+
+module.exports = { DELETION_MODES, getEventAddress, getDeletionTargets, strikeThrough };
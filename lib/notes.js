@@ -0,0 +1,87 @@
+const { validateEvent, verifySignature } = require('nostr-tools');
+const { createLogger } = require('./logger');
+
+// Local cache of notes the bot has seen, with batched relay lookups for the
+// rest. Used to quote the post a reaction, repost, reply or zap points at.
+// Notes the relays didn't have are asked for again after `missTtlMs`, since a
+// new note may simply not have reached them yet.
+function createNoteCache({ pool, relays, batchDelayMs = 200, maxEntries = 2000, missTtlMs = 5 * 60 * 1000, log = createLogger() }) {
+  // `relays` is a list, or a function returning the current one
+  const relayList = () => (typeof relays === 'function' ? relays() : relays);
+  // id -> event
+  const entries = new Map();
+  // id -> when the relays last didn't have it
+  const misses = new Map();
+  let batch = null;
+
+  function remember(event) {
+    if (!event || !event.id) return;
+    misses.delete(event.id);
+    entries.delete(event.id);
+    entries.set(event.id, event);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  async function flush(ids) {
+    try {
+      const events = await pool.list(relayList(), [{ ids: ids }]);
+      events.forEach(remember);
+    } catch (error) {
+      log.error('❌ Error fetching referenced notes', { error });
+    }
+    ids.forEach(id => {
+      if (entries.has(id)) return;
+      misses.delete(id);
+      misses.set(id, Date.now());
+      while (misses.size > maxEntries) {
+        misses.delete(misses.keys().next().value);
+      }
+    });
+  }
+
+  function missedRecently(id) {
+    return misses.has(id) && Date.now() - misses.get(id) < missTtlMs;
+  }
+
+  // Make sure the given note IDs are cached, asking relays only for unknown ones
+  function load(ids) {
+    const wanted = Array.from(new Set(ids.filter(Boolean))).filter(id => !entries.has(id) && !missedRecently(id));
+    if (wanted.length === 0) return Promise.resolve();
+
+    if (!batch) {
+      const current = { ids: new Set() };
+      current.promise = new Promise(resolve => setTimeout(resolve, batchDelayMs))
+        .then(() => {
+          batch = null;
+          return flush(Array.from(current.ids));
+        });
+      batch = current;
+    }
+    wanted.forEach(id => batch.ids.add(id));
+    return batch.promise;
+  }
+
+  return { remember, get, load };
+}
+
+// Kind 6 reposts usually carry the reposted note as JSON; only trust it if it checks out
+function parseRepostContent(event) {
+  if (!event.content || event.content[0] !== '{') return null;
+  try {
+    const embedded = JSON.parse(event.content);
+    if (validateEvent(embedded) && verifySignature(embedded)) {
+      return embedded;
+    }
+  } catch (e) {
+    // Not JSON, fall back to fetching the note by ID
+  }
+  return null;
+}
+
+module.exports = { createNoteCache, parseRepostContent };
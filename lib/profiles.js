@@ -0,0 +1,118 @@
+const { nip19 } = require('nostr-tools');
+const { createLogger } = require('./logger');
+
+const DEFAULT_AVATAR = 'https://nostr.com/img/nostr-logo.png';
+
+// Cache of kind 0 profiles for everyone who shows up in an event.
+// Lookups made close together are batched into one relay request, entries
+// expire after `ttlMs`, and a newer kind 0 always replaces an older one.
+function createProfileCache({ pool, relays, ttlMs = 6 * 60 * 60 * 1000, batchDelayMs = 200, maxEntries = 5000, log = createLogger() }) {
+  // `relays` may be a function, so lookups follow the relay supervisor's current list
+  const relayList = () => (typeof relays === 'function' ? relays() : relays);
+  // pubkey -> { metadata, createdAt, fetchedAt }
+  const entries = new Map();
+  let batch = null;
+
+  function isFresh(pubkey) {
+    const entry = entries.get(pubkey);
+    return !!entry && Date.now() - entry.fetchedAt < ttlMs;
+  }
+
+  // Store a kind 0 event if it is newer than what we already have
+  function observe(event) {
+    if (!event || event.kind !== 0) return false;
+    const existing = entries.get(event.pubkey);
+    if (existing && existing.createdAt >= event.created_at) {
+      existing.fetchedAt = Date.now();
+      return false;
+    }
+    let metadata;
+    try {
+      metadata = JSON.parse(event.content);
+    } catch (e) {
+      log.warn(`❌ Error parsing metadata for ${event.pubkey.slice(0, 8)}...`, { eventId: event.id });
+      return false;
+    }
+    remember(event.pubkey, { metadata, createdAt: event.created_at, fetchedAt: Date.now() });
+    return true;
+  }
+
+  function remember(pubkey, entry) {
+    entries.delete(pubkey);
+    entries.set(pubkey, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Fetch every pubkey queued during the batch window with a single request
+  async function flush(pubkeys) {
+    try {
+      const events = await pool.list(relayList(), [{ kinds: [0], authors: pubkeys }]);
+      events.forEach(observe);
+    } catch (error) {
+      log.error('❌ Error fetching profiles', { error });
+    }
+    // Remember misses too, so unknown keys aren't refetched on every event
+    pubkeys.forEach(pubkey => {
+      if (!entries.has(pubkey)) {
+        remember(pubkey, { metadata: null, createdAt: 0, fetchedAt: Date.now() });
+      } else {
+        entries.get(pubkey).fetchedAt = Date.now();
+      }
+    });
+  }
+
+  // Make sure the given pubkeys are cached, fetching stale or missing ones
+  function load(pubkeys, { force = false } = {}) {
+    const wanted = Array.from(new Set(pubkeys.filter(Boolean)))
+      .filter(pubkey => force || !isFresh(pubkey));
+    if (wanted.length === 0) return Promise.resolve();
+
+    if (!batch) {
+      const current = { pubkeys: new Set() };
+      current.promise = new Promise(resolve => setTimeout(resolve, batchDelayMs))
+        .then(() => {
+          batch = null;
+          return flush(Array.from(current.pubkeys));
+        });
+      batch = current;
+    }
+    wanted.forEach(pubkey => batch.pubkeys.add(pubkey));
+    return batch.promise;
+  }
+
+  function get(pubkey) {
+    const entry = entries.get(pubkey);
+    return entry ? entry.metadata : null;
+  }
+
+  // Keep listening for profile updates from the given pubkeys, through the
+  // relay supervisor so the subscription survives reconnects
+  function watch(pubkeys, supervisor) {
+    const since = Math.floor(Date.now() / 1000);
+    supervisor.subscribe('profiles', [{ kinds: [0], authors: pubkeys, since: since }], event => {
+      if (observe(event)) {
+        log.info(`🔄 Profile updated for ${describe(event.pubkey).name}`, { eventId: event.id });
+      }
+    });
+  }
+
+  // Display details for any pubkey, with sensible fallbacks
+  function describe(pubkey) {
+    const metadata = get(pubkey) || {};
+    const npub = nip19.npubEncode(pubkey);
+    return {
+      pubkey: pubkey,
+      npub: npub,
+      name: metadata.display_name || metadata.displayName || metadata.name || `${npub.slice(0, 12)}…`,
+      nip05: typeof metadata.nip05 === 'string' ? metadata.nip05.replace(/^_@/, '') : null,
+      picture: metadata.picture || DEFAULT_AVATAR,
+      hasProfile: !!get(pubkey)
+    };
+  }
+
+  return { load, get, observe, watch, describe };
+}
+
+module.exports = { createProfileCache, DEFAULT_AVATAR };
@@ -0,0 +1,325 @@
+const { utils } = require('nostr-tools');
+const { createLogger } = require('./logger');
+
+// Keeps a subscription open on every relay: each relay gets its own REQ, is
+// reconnected with exponential backoff when it drops, and is demoted (left
+// out of lookups and retried only rarely) after `demoteAfter` failures in a
+// row. Per-relay connection state, latency and event counts are kept for logs.
+// `onStatus({ relay, status, error })` hears of every connect, drop and demotion.
+//
+// Relays carry the sources they came from: `static` (NOSTR_RELAYS), `outbox`
+// (NIP-65 write relays of a watched identity) or `inbox` (its read relays).
+
+// Events remembered for de-duplication and relay hints
+const MAX_SEEN = 10000;
+
+function createRelaySupervisor({
+  pool,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  demoteAfter = 5,
+  demotedRetryMs = 30 * 60 * 1000,
+  connectTimeoutMs = 5000,
+  onStatus = () => {},
+  log = createLogger()
+}) {
+  // url -> relay state
+  const relays = new Map();
+  // name -> { filters, onEvent, onEose }
+  const subscriptions = new Map();
+  // event id -> Set of relay urls it arrived from
+  const seen = new Map();
+  // Events already passed to a subscriber, so the same event from another relay is skipped
+  const handled = new Set();
+
+  function normalize(url) {
+    return utils.normalizeURL(url.trim());
+  }
+
+  function markSeen(id, url) {
+    if (!seen.has(id)) {
+      seen.set(id, new Set());
+      if (seen.size > MAX_SEEN) seen.delete(seen.keys().next().value);
+    }
+    seen.get(id).add(url);
+  }
+
+  function markHandled(id) {
+    handled.add(id);
+    if (handled.size > MAX_SEEN) handled.delete(handled.values().next().value);
+  }
+
+  // Replace the relay list; relays no longer listed are closed
+  function setRelays(entries) {
+    const wanted = new Map();
+    entries.forEach(({ url, source }) => {
+      const normalized = normalize(url);
+      if (!/^wss?:\/\//.test(normalized)) return;
+      if (!wanted.has(normalized)) wanted.set(normalized, new Set());
+      wanted.get(normalized).add(source);
+    });
+
+    relays.forEach((state, url) => {
+      if (!wanted.has(url)) remove(state);
+    });
+    wanted.forEach((sources, url) => {
+      const existing = relays.get(url);
+      if (existing) {
+        const changed = Array.from(sources).some(source => !existing.sources.has(source)) || existing.sources.size !== sources.size;
+        existing.sources = sources;
+        if (changed && existing.status === 'connected') resubscribe(existing);
+      } else {
+        add(url, sources);
+      }
+    });
+  }
+
+  function add(url, sources) {
+    const state = {
+      url,
+      sources,
+      status: 'connecting',
+      relay: null,
+      subs: new Map(),
+      failures: 0,
+      connects: 0,
+      disconnects: 0,
+      connectLatencyMs: null,
+      eoseLatencyMs: null,
+      events: 0,
+      uniqueEvents: 0,
+      lastEventAt: null,
+      lastError: null,
+      retryTimer: null,
+      removed: false
+    };
+    relays.set(url, state);
+    connect(state);
+  }
+
+  function remove(state) {
+    state.removed = true;
+    clearTimeout(state.retryTimer);
+    state.subs.forEach(sub => sub.unsub());
+    state.subs.clear();
+    relays.delete(state.url);
+    log.info(`➖ Stopped using relay ${state.url}`, { relay: state.url });
+  }
+
+  async function connect(state) {
+    state.retryTimer = null;
+    if (state.status !== 'demoted') state.status = 'connecting';
+    const startedAt = Date.now();
+    let timeout;
+    try {
+      const relay = await Promise.race([
+        pool.ensureRelay(state.url),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error(`timed out after ${connectTimeoutMs / 1000}s`)), connectTimeoutMs);
+        })
+      ]);
+      clearTimeout(timeout);
+      if (state.removed) return;
+      state.connectLatencyMs = Date.now() - startedAt;
+      if (!state.relay) {
+        state.relay = relay;
+        // Fires for our own reconnects and for ones made by other pool users
+        relay.on('connect', () => onConnect(state));
+        relay.on('disconnect', () => onDisconnect(state));
+      }
+      onConnect(state);
+    } catch (error) {
+      clearTimeout(timeout);
+      if (state.removed) return;
+      state.lastError = error && error.message ? error.message : 'connection failed';
+      fail(state);
+    }
+  }
+
+  function onConnect(state) {
+    if (state.removed || state.status === 'connected') return;
+    const wasDemoted = state.status === 'demoted';
+    state.status = 'connected';
+    state.connects++;
+    clearTimeout(state.retryTimer);
+    state.retryTimer = null;
+    log.info(`✅ Connected to relay: ${state.url} (${state.connectLatencyMs}ms)${wasDemoted ? ', back from demotion' : ''}`, { relay: state.url });
+    onStatus({ relay: state.url, status: state.status, error: null });
+    resubscribe(state);
+  }
+
+  function onDisconnect(state) {
+    if (state.removed || state.status !== 'connected') return;
+    state.disconnects++;
+    state.lastError = 'disconnected';
+    state.subs.clear();
+    log.warn(`🔌 Relay disconnected: ${state.url}`, { relay: state.url });
+    fail(state);
+  }
+
+  // Count a failure and plan the next attempt
+  function fail(state) {
+    if (state.retryTimer) return;
+    state.failures++;
+    let delay;
+    if (state.failures >= demoteAfter) {
+      if (state.status !== 'demoted') {
+        log.warn(`⬇️ Demoted relay ${state.url} after ${state.failures} failures (${state.lastError || 'disconnects'})`, { relay: state.url });
+      }
+      state.status = 'demoted';
+      delay = demotedRetryMs;
+    } else {
+      state.status = 'disconnected';
+      delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, state.failures - 1));
+      // Spread retries out so relays that dropped together don't reconnect together
+      delay = Math.round(delay * (0.8 + Math.random() * 0.4));
+      log.info(`⏳ Reconnecting to ${state.url} in ${Math.round(delay / 1000)}s (attempt ${state.failures}${state.lastError ? `, ${state.lastError}` : ''})`, { relay: state.url });
+    }
+    onStatus({ relay: state.url, status: state.status, error: state.lastError });
+    state.retryTimer = setTimeout(() => connect(state), delay);
+  }
+
+  // (Re)send every subscription to a connected relay, with fresh filters
+  function resubscribe(state) {
+    state.subs.forEach(sub => sub.unsub());
+    state.subs.clear();
+    subscriptions.forEach((subscription, name) => subscribeOn(state, name, subscription));
+  }
+
+  function subscribeOn(state, name, subscription) {
+    const filters = subscription.filters(state.url, state.sources);
+    if (!state.relay || filters.length === 0) return;
+    log.debug(`Subscribing ${name} on ${state.url}: ${JSON.stringify(filters)}`, { relay: state.url });
+    const sentAt = Date.now();
+    const sub = state.relay.sub(filters, {
+      alreadyHaveEvent: (id, url) => {
+        state.events++;
+        state.lastEventAt = Date.now();
+        markSeen(id, url);
+        return handled.has(id);
+      }
+    });
+    sub.on('event', event => {
+      if (handled.has(event.id)) return;
+      markHandled(event.id);
+      log.trace(`Event ${event.id} (kind ${event.kind}) first seen on ${state.url}`, { eventId: event.id, relay: state.url });
+      state.uniqueEvents++;
+      subscription.onEvent(event, state.url);
+    });
+    sub.on('eose', () => {
+      // A relay that answers a subscription is working again
+      state.failures = 0;
+      state.eoseLatencyMs = Date.now() - sentAt;
+      if (subscription.onEose) subscription.onEose(state.url);
+    });
+    state.subs.set(name, sub);
+  }
+
+  // `filters(url, sources)` returns the filters for one relay (an array works too)
+  function subscribe(name, filters, onEvent, { onEose } = {}) {
+    const subscription = { filters: typeof filters === 'function' ? filters : () => filters, onEvent, onEose };
+    subscriptions.set(name, subscription);
+    relays.forEach(state => {
+      if (state.status !== 'connected') return;
+      const existing = state.subs.get(name);
+      if (existing) existing.unsub();
+      subscribeOn(state, name, subscription);
+    });
+  }
+
+  // Relays to ask for one-off lookups: connected ones, or everything not demoted while none are
+  function readRelays() {
+    const all = Array.from(relays.values());
+    const connected = all.filter(state => state.status === 'connected');
+    const usable = connected.length > 0 ? connected : all.filter(state => state.status !== 'demoted');
+    return (usable.length > 0 ? usable : all).map(state => state.url);
+  }
+
+  // Relays an event was received from (by us or by other pool lookups)
+  function seenOn(id) {
+    const urls = new Set(seen.get(id) || []);
+    pool.seenOn(id).forEach(url => urls.add(url));
+    return Array.from(urls);
+  }
+
+  // Resolves once every relay has connected or failed its first attempt
+  function ready() {
+    return new Promise(resolve => {
+      const check = () => {
+        const pending = Array.from(relays.values()).filter(state => state.status === 'connecting');
+        if (pending.length === 0) resolve(connectedCount());
+        else setTimeout(check, 100);
+      };
+      check();
+    });
+  }
+
+  function connectedCount() {
+    return Array.from(relays.values()).filter(state => state.status === 'connected').length;
+  }
+
+  function stats() {
+    return Array.from(relays.values()).map(state => ({
+      url: state.url,
+      sources: Array.from(state.sources),
+      status: state.status,
+      failures: state.failures,
+      connects: state.connects,
+      disconnects: state.disconnects,
+      connectLatencyMs: state.connectLatencyMs,
+      eoseLatencyMs: state.eoseLatencyMs,
+      events: state.events,
+      uniqueEvents: state.uniqueEvents,
+      lastEventAt: state.lastEventAt,
+      lastError: state.lastError
+    }));
+  }
+
+  function close() {
+    Array.from(relays.values()).forEach(state => {
+      state.removed = true;
+      clearTimeout(state.retryTimer);
+      state.subs.forEach(sub => sub.unsub());
+    });
+    pool.close(Array.from(relays.keys()));
+    relays.clear();
+  }
+
+  return { setRelays, subscribe, readRelays, seenOn, ready, connectedCount, stats, close };
+}
+
+// Newest NIP-65 relay list (kind 10002) of each pubkey, as { write: [urls], read: [urls], dm: [urls] }.
+// An `r` tag without a marker counts as both; `dm` are the NIP-17 inbox relays (kind 10050).
+async function fetchRelayLists(pool, relays, pubkeys) {
+  const events = await pool.list(relays, [{ kinds: [10002, 10050], authors: pubkeys }]);
+  const newest = new Map();
+  events.forEach(event => {
+    const key = `${event.kind}:${event.pubkey}`;
+    const existing = newest.get(key);
+    if (!existing || existing.created_at < event.created_at) newest.set(key, event);
+  });
+
+  const lists = new Map();
+  newest.forEach(event => {
+    if (!lists.has(event.pubkey)) lists.set(event.pubkey, { write: [], read: [], dm: [] });
+    const list = lists.get(event.pubkey);
+    if (event.kind === 10050) {
+      event.tags.filter(tag => tag[0] === 'relay' && tag[1]).forEach(tag => list.dm.push(tag[1]));
+      return;
+    }
+    event.tags.filter(tag => tag[0] === 'r' && tag[1]).forEach(tag => {
+      if (tag[2] !== 'read') list.write.push(tag[1]);
+      if (tag[2] !== 'write') list.read.push(tag[1]);
+    });
+  });
+  return lists;
+}
+
+// The subset of `filters` a relay should get: everything for configured relays,
+// author filters for outbox relays and `#p` filters for inbox relays
+function filtersForSources(filters, sources) {
+  if (sources.has('static')) return filters;
+  return filters.filter(filter => (sources.has('outbox') && filter.authors) || (sources.has('inbox') && filter['#p']));
+}
+
+module.exports = { createRelaySupervisor, fetchRelayLists, filtersForSources };
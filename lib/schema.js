@@ -0,0 +1,178 @@
+// Shape of CONFIG_FILE, checked before the config is normalized so that typos,
+// wrong types and missing fields are all reported at once, with their path
+// (e.g. `identities[1].kinds[0]`). What the values mean (known destinations,
+// valid cron expressions, link patterns…) is still checked by normalizeConfig.
+//
+// A schema is { type, properties, required, additionalProperties, items, enum,
+// minimum, minItems }; `type` may list several types.
+
+const KIND = { type: 'integer', minimum: 0 };
+const KINDS = { type: ['integer', 'array'], items: KIND };
+const NAMES = { type: ['string', 'array'], items: { type: 'string' }, minItems: 1 };
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['identities', 'destinations', 'routes'],
+  properties: {
+    identities: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['pubkey'],
+        properties: {
+          name: { type: 'string' },
+          pubkey: { type: 'string' },
+          kinds: KINDS,
+          zapProvider: { type: 'string' }
+        }
+      }
+    },
+    // A webhook URL, or the settings of a sink (see lib/sinks)
+    destinations: {
+      type: 'object',
+      additionalProperties: {
+        type: ['string', 'object'],
+        properties: {
+          sink: { type: 'string' },
+          url: { type: 'string' },
+          threads: { type: 'string', enum: ['forum', 'channel'] },
+          headers: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      }
+    },
+    routes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string' },
+          destinations: NAMES,
+          destination: NAMES,
+          pubkeys: NAMES,
+          pubkey: NAMES,
+          kinds: KINDS,
+          directions: NAMES,
+          direction: NAMES
+        }
+      }
+    },
+    digests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['schedule', 'destination'],
+        properties: {
+          name: { type: 'string' },
+          title: { type: 'string' },
+          schedule: { type: 'string' },
+          period: { type: ['string', 'number'] },
+          sections: NAMES,
+          top: { type: 'integer', minimum: 1 },
+          pubkeys: NAMES,
+          destination: { type: 'string' }
+        }
+      }
+    },
+    filters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        includeKeywords: NAMES,
+        excludeKeywords: NAMES,
+        includeRegex: NAMES,
+        excludeRegex: NAMES,
+        allowPubkeys: NAMES,
+        blockPubkeys: NAMES,
+        allowedReactions: NAMES,
+        includeHashtags: NAMES,
+        excludeHashtags: NAMES,
+        minZapSats: { type: ['integer', 'string'], minimum: 0 },
+        repliesFromFollowsOnly: { type: ['boolean', 'string'] }
+      }
+    },
+    trust: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mode: { type: 'string' },
+        action: { type: 'string' },
+        downgradeDestination: { type: 'string' },
+        refreshIntervalMs: { type: 'integer', minimum: 60000 }
+      }
+    },
+    links: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        providers: NAMES,
+        custom: { type: 'object' }
+      }
+    },
+    coalesce: { type: 'object' }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Every way `value` breaks `schema`, as "path: problem" strings
+function checkSchema(value, schema, path = '') {
+  const where = path || 'config';
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push(`${where}: must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push(`${where}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...checkSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) problems.push(`${path ? `${path}.` : ''}${key}: is required`);
+    });
+    Object.keys(value).forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      const property = schema.properties && schema.properties[key];
+      if (property) {
+        problems.push(...checkSchema(value[key], property, keyPath));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${keyPath}: unknown setting`);
+      } else if (schema.additionalProperties) {
+        problems.push(...checkSchema(value[key], schema.additionalProperties, keyPath));
+      }
+    });
+  } else if (schema.items && typeOf(value) !== 'array') {
+    // A single value where a list is also accepted, e.g. "kinds": 1
+    problems.push(...checkSchema(value, schema.items, path));
+  }
+  return problems;
+}
+
+module.exports = { CONFIG_SCHEMA, checkSchema };
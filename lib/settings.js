@@ -0,0 +1,158 @@
+const { toHexPubkey, parseKinds } = require('./config');
+const { parseCron } = require('./cron');
+const { parsePeriod } = require('./digest');
+const { DELETION_MODES } = require('./mirror');
+const { MODES: TRUST_MODES, ACTIONS: TRUST_ACTIONS } = require('./trust');
+const { toHexSecret, parseBunkerUrl } = require('./signer');
+const { parseLogLevel, FORMATS: LOG_FORMATS } = require('./logger');
+
+// Every environment variable the bot reads, with its type and default.
+// `loadSettings(env)` checks them all before anything starts and reports every
+// bad value at once. Empty values count as unset (docker-compose passes `X=`).
+// The routing variables are parsed again by lib/config.js; here they're only checked.
+
+// Each type turns the raw string into a value or throws with what was expected
+const TYPES = {
+  string: value => value,
+  integer: (value, { min = 0, max = Infinity }) => {
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      throw new Error(max === Infinity ? `expected a whole number from ${min}` : `expected a whole number from ${min} to ${max}`);
+    }
+    return parseInt(value);
+  },
+  boolean: value => {
+    if (value !== 'true' && value !== 'false') throw new Error('expected true or false');
+    return value === 'true';
+  },
+  enum: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`expected ${values.join(', ')}`);
+    return value;
+  },
+  url: value => {
+    if (!/^https?:\/\/[^\s/]+/.test(value)) throw new Error('expected an http(s) url');
+    return value;
+  },
+  relays: value => {
+    const urls = value.split(',').map(url => url.trim()).filter(Boolean);
+    const invalid = urls.filter(url => !/^wss?:\/\/[^\s/]+/.test(url));
+    if (urls.length === 0 || invalid.length > 0) throw new Error(`expected ws(s):// relay urls${invalid.length ? `, got ${invalid.join(', ')}` : ''}`);
+    return urls;
+  },
+  list: value => value.split(',').map(item => item.trim()).filter(Boolean),
+  kinds: value => parseKinds(value),
+  pubkey: value => toHexPubkey(value),
+  secret: value => toHexSecret(value),
+  bunker: value => {
+    parseBunkerUrl(value);
+    return value;
+  },
+  cron: value => {
+    parseCron(value);
+    return value;
+  },
+  period: value => {
+    parsePeriod(value);
+    return value;
+  },
+  logLevel: value => {
+    parseLogLevel(value);
+    return value;
+  },
+  // 64 hex characters, e.g. the Discord application's public key
+  hex: value => {
+    if (!/^[0-9a-f]{64}$/i.test(value)) throw new Error('expected 64 hex characters');
+    return value;
+  }
+};
+
+const SETTINGS = [
+  // Who to watch and where to post
+  { name: 'NOSTR_PUBKEY', type: 'pubkey' },
+  { name: 'DISCORD_WEBHOOK_URL', type: 'url', sensitive: true },
+  { name: 'DISCORD_THREADS', type: 'enum', values: ['forum', 'channel'] },
+  { name: 'MONITORED_EVENT_KINDS', type: 'kinds' },
+  { name: 'ZAP_PROVIDER_PUBKEY', type: 'pubkey' },
+  { name: 'CONFIG_FILE', type: 'string' },
+  { name: 'NOSTR_RELAYS', type: 'relays' },
+  { name: 'RELAY_DISCOVERY', type: 'boolean', default: true },
+  { name: 'MAX_DISCOVERED_RELAYS', type: 'integer', default: 5 },
+  { name: 'RELAY_DEMOTE_AFTER', type: 'integer', min: 1, default: 5 },
+
+  // Running the bot
+  { name: 'CHECK_INTERVAL_MS', type: 'integer', min: 1000, default: 30000 },
+  { name: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 8000 },
+  { name: 'DEBUG', type: 'boolean', default: false },
+  { name: 'LOG_LEVEL', type: 'logLevel' },
+  { name: 'LOG_FORMAT', type: 'enum', values: LOG_FORMATS, default: 'pretty' },
+  { name: 'STATE_FILE', type: 'string', default: './data/state.json' },
+  { name: 'MAX_LOOKBACK_SECONDS', type: 'integer', default: 86400 },
+  { name: 'QUEUE_FILE', type: 'string', default: './data/queue.json' },
+  { name: 'DEAD_LETTER_FILE', type: 'string', default: './data/dead-letters.jsonl' },
+  { name: 'DELIVERY_MAX_ATTEMPTS', type: 'integer', min: 1, default: 8 },
+  { name: 'PROFILE_CACHE_TTL_MS', type: 'integer', default: 21600000 },
+  { name: 'PROFILE_REFRESH_INTERVAL_MS', type: 'integer', min: 60000, default: 3600000 },
+  { name: 'STATS_FILE', type: 'string', default: './data/stats.json' },
+  { name: 'MODERATION_FILE', type: 'string', default: './data/moderation.jsonl' },
+
+  // What gets forwarded, and how it looks
+  { name: 'ZAP_VALIDATION', type: 'enum', values: ['flag', 'suppress', 'off'], default: 'flag' },
+  { name: 'DELETION_MODE', type: 'enum', values: DELETION_MODES, default: 'delete' },
+  { name: 'LOCALE', type: 'string', default: 'en' },
+  { name: 'TEMPLATES_FILE', type: 'string', default: '' },
+  { name: 'FORMATTER_MODULES', type: 'list', default: [] },
+  { name: 'LINK_PROVIDERS', type: 'list' },
+  { name: 'PREFERRED_CLIENT', type: 'string' },
+  { name: 'COALESCE', type: 'string' },
+  { name: 'FILTER_MIN_ZAP_SATS', type: 'integer' },
+  { name: 'FILTER_REPLIES_FROM_FOLLOWS_ONLY', type: 'boolean' },
+  { name: 'TRUST_MODE', type: 'enum', values: TRUST_MODES },
+  { name: 'TRUST_ACTION', type: 'enum', values: TRUST_ACTIONS },
+  { name: 'TRUST_REFRESH_INTERVAL_MS', type: 'integer', min: 60000 },
+  { name: 'TRUST_DOWNGRADE_WEBHOOK_URL', type: 'url', sensitive: true },
+  { name: 'DIGEST_SCHEDULE', type: 'cron' },
+  { name: 'DIGEST_PERIOD', type: 'period' },
+  { name: 'DIGEST_SECTIONS', type: 'list' },
+  { name: 'DIGEST_WEBHOOK_URL', type: 'url', sensitive: true },
+
+  // Admin API, Discord bridge and direct messages
+  { name: 'ADMIN_PORT', type: 'integer', max: 65535, default: null },
+  { name: 'ADMIN_HOST', type: 'string', default: '0.0.0.0' },
+  { name: 'ADMIN_TOKEN', type: 'string', sensitive: true, default: '' },
+  { name: 'DISCORD_APPLICATION_ID', type: 'string', default: '' },
+  { name: 'DISCORD_PUBLIC_KEY', type: 'hex', default: '' },
+  { name: 'DISCORD_BOT_TOKEN', type: 'string', sensitive: true, default: '' },
+  { name: 'DISCORD_GUILD_ID', type: 'string', default: '' },
+  { name: 'DISCORD_ALLOWED_ROLES', type: 'list', default: [] },
+  { name: 'DISCORD_INTERACTIONS_PORT', type: 'integer', max: 65535, default: 3000 },
+  { name: 'DM_WEBHOOK_URL', type: 'url', sensitive: true, default: '' },
+  { name: 'DM_REDACT', type: 'boolean', default: false },
+  { name: 'NOSTR_NSEC', type: 'secret', sensitive: true },
+  { name: 'NOSTR_BUNKER_URL', type: 'bunker', sensitive: true },
+  { name: 'NOSTR_BUNKER_CLIENT_KEY', type: 'secret', sensitive: true }
+];
+
+// { NAME: value } for every setting, defaults filled in; throws listing every invalid one
+function loadSettings(env) {
+  const settings = {};
+  const problems = [];
+  SETTINGS.forEach(setting => {
+    const raw = env[setting.name];
+    if (raw === undefined || raw.trim() === '') {
+      settings[setting.name] = setting.default !== undefined ? setting.default : null;
+      return;
+    }
+    try {
+      settings[setting.name] = TYPES[setting.type](raw.trim(), setting);
+    } catch (error) {
+      // Webhook URLs, tokens and keys aren't repeated in the error
+      const shown = setting.sensitive || error.message.includes(`"${raw.trim()}"`) ? '' : ` "${raw}"`;
+      problems.push(`${setting.name}${shown}: ${error.message}`);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`${problems.length} invalid setting(s):\n  - ${problems.join('\n  - ')}`);
+  }
+  return settings;
+}
+
+module.exports = { SETTINGS, loadSettings };
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { nip04, nip19, nip44, finishEvent, generatePrivateKey, getPublicKey, validateEvent, verifySignature } = require('nostr-tools');
+const { createLogger } = require('./logger');
+
+// Signers for events published from Discord, which also decrypt direct
+// messages. Both have the same shape: `start()` resolves to the pubkey events
+// are signed as, `signEvent(template)` to the signed event, and
+// `nip04Decrypt(pubkey, text)` / `nip44Decrypt(pubkey, text)` to plaintext.
+
+// Hex private key from an nsec or hex string
+function toHexSecret(value) {
+  if (typeof value === 'string' && value.startsWith('nsec')) {
+    let decoded = null;
+    try {
+      decoded = nip19.decode(value);
+    } catch (error) {
+      // Reported below
+    }
+    if (!decoded || decoded.type !== 'nsec') {
+      throw new Error('Invalid nsec (check for typos or a truncated key)');
+    }
+    return decoded.data;
+  }
+  if (!/^[0-9a-f]{64}$/.test(value || '')) {
+    throw new Error('Invalid secret key (expected nsec or 64-char hex)');
+  }
+  return value;
+}
+
+// Signs with a key held by the bot
+function createLocalSigner(secret) {
+  const secretKey = toHexSecret(secret);
+  const pubkey = getPublicKey(secretKey);
+  return {
+    start: async () => pubkey,
+    signEvent: async template => finishEvent(template, secretKey),
+    nip04Decrypt: (sender, text) => nip04.decrypt(secretKey, sender, text),
+    nip44Decrypt: async (sender, text) => nip44.decrypt(nip44.utils.v2.getConversationKey(secretKey, sender), text)
+  };
+}
+
+// bunker://<signer pubkey>?relay=wss://…&secret=… → { signerPubkey, relays, secret }
+function parseBunkerUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid bunker URL "${value}"`);
+  }
+  const signerPubkey = url.hostname || url.pathname.replace(/^\/+/, '');
+  if (url.protocol !== 'bunker:' || !/^[0-9a-f]{64}$/.test(signerPubkey)) {
+    throw new Error('Bunker URL must look like bunker://<hex pubkey>?relay=wss://…');
+  }
+  const relays = url.searchParams.getAll('relay');
+  if (relays.length === 0) {
+    throw new Error('Bunker URL needs at least one relay= parameter');
+  }
+  return { signerPubkey, relays, secret: url.searchParams.get('secret') || '' };
+}
+
+// Asks a NIP-46 remote signer (nsecBunker, nsec.app, Amber…) to sign. Requests
+// and responses are kind 24133 events, NIP-04 encrypted between our client key
+// and the signer. Without a fixed `clientSecret` the signer sees a new client
+// after every restart and may ask for approval again.
+function createRemoteSigner({ pool, bunkerUrl, clientSecret, timeoutMs = 60000, log = createLogger() }) {
+  const { signerPubkey, relays, secret } = parseBunkerUrl(bunkerUrl);
+  const clientKey = clientSecret ? toHexSecret(clientSecret) : generatePrivateKey();
+  const clientPubkey = getPublicKey(clientKey);
+  // request id -> { resolve, reject, timer }
+  const pending = new Map();
+  let connecting = null;
+  let sub = null;
+
+  async function onResponse(event) {
+    if (event.pubkey !== signerPubkey) return;
+    let response;
+    try {
+      response = JSON.parse(await nip04.decrypt(clientKey, signerPubkey, event.content));
+    } catch (error) {
+      return;
+    }
+    const request = pending.get(response.id);
+    if (!request) return;
+    if (response.result === 'auth_url') {
+      // The signer wants the operator to approve us in a browser first; the answer follows later
+      log.warn(`🔐 Remote signer asks for approval, open: ${response.error}`);
+      return;
+    }
+    pending.delete(response.id);
+    clearTimeout(request.timer);
+    if (response.error) request.reject(new Error(`Remote signer: ${response.error}`));
+    else request.resolve(response.result);
+  }
+
+  async function request(method, params) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const content = await nip04.encrypt(clientKey, signerPubkey, JSON.stringify({ id, method, params }));
+    const event = finishEvent({
+      kind: 24133,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', signerPubkey]],
+      content
+    }, clientKey);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Remote signer didn't answer ${method} within ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      Promise.any(pool.publish(relays, event)).catch(() => {
+        pending.delete(id);
+        clearTimeout(timer);
+        reject(new Error(`Could not reach the remote signer's relays (${relays.join(', ')})`));
+      });
+    });
+  }
+
+  async function connect() {
+    if (!sub) {
+      sub = pool.sub(relays, [{ kinds: [24133], '#p': [clientPubkey], since: Math.floor(Date.now() / 1000) - 10 }]);
+      sub.on('event', event => onResponse(event).catch(() => {}));
+    }
+    await request('connect', secret ? [signerPubkey, secret] : [signerPubkey]);
+    // The key the signer signs with can differ from the one it talks with
+    return request('get_public_key', []);
+  }
+
+  // Connects once; callers arriving meanwhile share the attempt, and a failed one is retried next time
+  function start() {
+    if (!connecting) {
+      connecting = connect().catch(error => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  }
+
+  async function signEvent(template) {
+    const pubkey = await start();
+    const result = await request('sign_event', [JSON.stringify(Object.assign({}, template, { pubkey }))]);
+    const event = typeof result === 'string' ? JSON.parse(result) : result;
+    if (!validateEvent(event) || !verifySignature(event) || event.pubkey !== pubkey) {
+      throw new Error('Remote signer returned an invalid event');
+    }
+    return event;
+  }
+
+  async function nip04Decrypt(sender, text) {
+    await start();
+    return request('nip04_decrypt', [sender, text]);
+  }
+
+  async function nip44Decrypt(sender, text) {
+    await start();
+    return request('nip44_decrypt', [sender, text]);
+  }
+
+  return { start, signEvent, nip04Decrypt, nip44Decrypt };
+}
+
+module.exports = { createLocalSigner, createRemoteSigner, parseBunkerUrl, toHexSecret };
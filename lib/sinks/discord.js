@@ -0,0 +1,60 @@
+// Discord webhooks. Payloads come from the formatters and templates rather than
+// from the neutral message; this sink supports threads and editing or deleting
+// messages it posted.
+
+// Webhook URL for posting (with ?wait=true so Discord returns the message) or for one message,
+// optionally inside a thread
+function messageUrl(webhookUrl, messageId, threadId = null) {
+  const url = new URL(webhookUrl);
+  if (messageId) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${messageId}`;
+  } else {
+    url.searchParams.set('wait', 'true');
+  }
+  if (threadId) {
+    url.searchParams.set('thread_id', threadId);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  name: 'discord',
+  edits: true,
+
+  validate(destination) {
+    if (!/^https?:\/\//.test(destination.url || '')) return 'needs an http(s) webhook url';
+    return null;
+  },
+
+  target(destination) {
+    return { url: destination.url };
+  },
+
+  request(item) {
+    const method = item.method || 'POST';
+    const payload = method === 'POST' && item.threadName
+      ? Object.assign({}, item.payload, { thread_name: item.threadName })
+      : item.payload;
+    return {
+      url: messageUrl(item.url, method === 'POST' ? null : item.messageId, item.threadId),
+      method: method,
+      body: method === 'DELETE' ? undefined : JSON.stringify(payload)
+    };
+  },
+
+  // For a new forum post, channel_id is the thread the post started
+  parseResponse(body) {
+    return { messageId: body && body.id ? body.id : null, channelId: body && body.channel_id ? body.channel_id : null };
+  },
+
+  retryAfter(body) {
+    return body.retry_after || null;
+  },
+
+  // A GET on a webhook answers with the webhook's channel and name when the URL is valid
+  probe(destination) {
+    return { url: destination.url };
+  },
+
+  messageUrl
+};
@@ -0,0 +1,36 @@
+const discord = require('./discord');
+const slack = require('./slack');
+const telegram = require('./telegram');
+const matrix = require('./matrix');
+const json = require('./json');
+
+// Where messages can go. Each destination picks one with `sink` (default discord).
+//
+// Discord payloads come from the formatters and templates. The other sinks
+// render a neutral message the bot builds from the event:
+//
+//   eventId, kind, createdAt, identity
+//   action    note, reply, reaction, repost, zap, event, or summary (a coalesced burst)
+//   title     one-line summary in the bot's language ("Alice replied")
+//   actor     { name, nip05, picture, link }, or null (anonymous zap, summary)
+//   content   text as Discord-style markdown, which each sink converts
+//   quote     { title, text, link, linkLabel } of the referenced note, or null
+//   media     image URLs
+//   links     [{ label, url }] to the event on each client
+//   amount    { sats, comment, verified } for zaps, otherwise null
+//   notice    a warning to show (unverified zap), or null
+//
+// A sink has `validate(destination)` (an error message or null), `target(destination)`
+// ({ url, headers } stored with each queued item), `render(message, destination)`,
+// `request(item)` ({ url, method, headers, body } for the delivery queue),
+// `parseResponse(body)`, `retryAfter(body)` (seconds, from a 429 answer) and
+// `probe(destination)` ({ url, headers } for a GET that `npm run doctor` expects to
+// succeed, or null when the sink can't be checked without posting).
+// Only sinks with `edits` get edited or deleted messages and threads.
+const SINKS = { discord, slack, telegram, matrix, json };
+
+function getSink(name) {
+  return SINKS[name || 'discord'] || null;
+}
+
+module.exports = { SINKS, getSink };
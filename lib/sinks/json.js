@@ -0,0 +1,40 @@
+// Generic JSON webhook: the neutral message as it is, for bots and scripts of
+// your own. Optional `headers` are sent along (for example an Authorization header).
+
+module.exports = {
+  name: 'json',
+  edits: false,
+
+  validate(destination) {
+    if (!/^https?:\/\//.test(destination.url || '')) return 'needs an http(s) url';
+    if (destination.headers !== undefined && (typeof destination.headers !== 'object' || Array.isArray(destination.headers))) {
+      return 'has invalid headers (expected an object)';
+    }
+    return null;
+  },
+
+  target(destination) {
+    return { url: destination.url, headers: destination.headers };
+  },
+
+  render(message) {
+    return message;
+  },
+
+  request(item) {
+    return { url: item.url, method: 'POST', headers: item.headers, body: JSON.stringify(item.payload) };
+  },
+
+  parseResponse(body) {
+    return { messageId: body && body.id ? String(body.id) : null };
+  },
+
+  retryAfter() {
+    return null;
+  },
+
+  // Any endpoint will do, so there's no request that is sure to answer
+  probe() {
+    return null;
+  }
+};
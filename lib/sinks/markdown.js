@@ -0,0 +1,71 @@
+// Message text is written in the Discord markdown the rest of the bot produces:
+// [label](url) links, **bold**, *italic* and "> " quotes. These helpers turn it
+// into what the other sinks understand.
+
+const LINK = /\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Plain text: links become "label (url)", emphasis markers are dropped
+function toPlain(markdown) {
+  return String(markdown || '')
+    .replace(LINK, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/\*\*([^*\n]+)\*\*/g, '$1')
+    .replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+// HTML for Telegram and Matrix; `lineBreaks` turns newlines into <br> (Matrix wants them)
+function toHtml(markdown, { lineBreaks = false } = {}) {
+  const html = escapeHtml(markdown || '')
+    .replace(LINK, (match, label, url) => `<a href="${url}">${label}</a>`)
+    .replace(/\*\*([^*\n]+)\*\*/g, '<b>$1</b>')
+    .replace(/\*([^*\n]+)\*/g, '<i>$1</i>');
+  return lineBreaks ? html.replace(/\n/g, '<br>') : html;
+}
+
+// Slack mrkdwn: <url|label> links, *bold*, _italic_; &, < and > must be escaped
+function toSlack(markdown) {
+  return String(markdown || '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(LINK, (match, label, url) => `<${url}|${label}>`)
+    .replace(/\*\*([^*\n]+)\*\*/g, '\u0000$1\u0000')
+    .replace(/\*([^*\n]+)\*/g, '_$1_')
+    .replace(/\u0000/g, '*');
+}
+
+// Shorten markdown to `maxLength` characters with an ellipsis, without cutting a link in two
+function truncateMarkdown(markdown, maxLength) {
+  const text = String(markdown || '');
+  if (text.length <= maxLength) return text;
+  let cut = Math.max(0, maxLength - 1);
+  for (const match of text.matchAll(LINK)) {
+    if (match.index >= cut) break;
+    if (match.index + match[0].length > cut) {
+      cut = match.index;
+      break;
+    }
+  }
+  // Nor an emoji (a surrogate pair)
+  if (cut > 0 && /[\uD800-\uDBFF]/.test(text[cut - 1])) cut--;
+  return `${text.slice(0, cut).trimEnd()}…`;
+}
+
+// `convert(markdown)` shortened so the result (HTML, mrkdwn) fits in `maxLength`. The cut is
+// made before converting, so it never lands inside a tag, an entity or a link.
+function fitMarkdown(markdown, maxLength, convert) {
+  const whole = convert(markdown || '');
+  if (whole.length <= maxLength) return whole;
+  // The longest cut whose converted text still fits
+  let low = 0;
+  let high = maxLength;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (convert(truncateMarkdown(markdown, middle)).length <= maxLength) low = middle;
+    else high = middle - 1;
+  }
+  return convert(truncateMarkdown(markdown, low));
+}
+
+module.exports = { escapeHtml, toPlain, toHtml, toSlack, truncateMarkdown, fitMarkdown };
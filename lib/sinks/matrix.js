@@ -0,0 +1,89 @@
+const { escapeHtml, toHtml, toPlain } = require('./markdown');
+
+// Matrix client-server API: an m.notice (the message type for bots) in one room,
+// sent with the access token of a user who has joined it.
+
+function render(message) {
+  const lines = [message.title];
+  const html = [message.actor && message.actor.link
+    ? `<b><a href="${escapeHtml(message.actor.link)}">${escapeHtml(message.title)}</a></b>`
+    : `<b>${escapeHtml(message.title)}</b>`];
+
+  if (message.content) {
+    lines.push(toPlain(message.content));
+    html.push(`<p>${toHtml(message.content, { lineBreaks: true })}</p>`);
+  }
+  if (message.quote) {
+    lines.push(`${message.quote.title}\n${toPlain(message.quote.text).split('\n').map(line => `> ${line}`).join('\n')}\n${message.quote.link}`);
+    html.push(`<blockquote><b>${escapeHtml(message.quote.title)}</b><br>${toHtml(message.quote.text, { lineBreaks: true })}<br>` +
+      `<a href="${escapeHtml(message.quote.link)}">${escapeHtml(message.quote.linkLabel)}</a></blockquote>`);
+  }
+  message.media.forEach(url => {
+    lines.push(url);
+    html.push(`<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>`);
+  });
+  if (message.notice) {
+    lines.push(message.notice);
+    html.push(`<p><i>${escapeHtml(message.notice)}</i></p>`);
+  }
+  if (message.links.length > 0) {
+    lines.push(message.links.map(link => `${link.label}: ${link.url}`).join('\n'));
+    html.push(`<p>${message.links.map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join(' | ')}</p>`);
+  }
+
+  return {
+    msgtype: 'm.notice',
+    body: lines.join('\n\n'),
+    format: 'org.matrix.custom.html',
+    formatted_body: html.join('')
+  };
+}
+
+module.exports = {
+  name: 'matrix',
+  edits: false,
+
+  validate(destination) {
+    if (!/^https?:\/\//.test(destination.homeserver || '')) return 'needs the http(s) homeserver url';
+    if (!/^!.+:.+/.test(destination.roomId || '')) return 'needs a roomId like !abc123:example.org';
+    if (!destination.accessToken) return 'needs an accessToken';
+    return null;
+  },
+
+  target(destination) {
+    const homeserver = destination.homeserver.replace(/\/$/, '');
+    return {
+      url: `${homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(destination.roomId)}/send/m.room.message`,
+      headers: { Authorization: `Bearer ${destination.accessToken}` }
+    };
+  },
+
+  render,
+
+  // The delivery key is the transaction ID, so the homeserver ignores a retry of a message it already has
+  request(item) {
+    return {
+      url: `${item.url}/${encodeURIComponent(item.key)}`,
+      method: 'PUT',
+      headers: item.headers,
+      body: JSON.stringify(item.payload)
+    };
+  },
+
+  parseResponse(body) {
+    return { messageId: body && body.event_id ? body.event_id : null };
+  },
+
+  retryAfter(body) {
+    return body.retry_after_ms ? body.retry_after_ms / 1000 : null;
+  },
+
+  // Only members of the room may list its members
+  probe(destination) {
+    const homeserver = destination.homeserver.replace(/\/$/, '');
+    return {
+      url: `${homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(destination.roomId)}/joined_members`,
+      headers: { Authorization: `Bearer ${destination.accessToken}` }
+    };
+  }
+};
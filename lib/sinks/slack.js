@@ -0,0 +1,81 @@
+const { toPlain, toSlack, fitMarkdown } = require('./markdown');
+
+// Slack incoming webhooks, rendered as Block Kit. Slack answers with plain
+// "ok", so posted messages can't be edited or deleted later.
+
+// Slack's limit for a section's text
+const MAX_SECTION = 3000;
+const MAX_IMAGES = 3;
+
+function quoteLines(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function render(message) {
+  const heading = message.actor && message.actor.link
+    ? `*<${message.actor.link}|${toSlack(message.title)}>*`
+    : `*${toSlack(message.title)}*`;
+  const blocks = [];
+
+  const header = { type: 'section', text: { type: 'mrkdwn', text: heading } };
+  if (message.actor && message.actor.picture) {
+    header.accessory = { type: 'image', image_url: message.actor.picture, alt_text: message.actor.name };
+  }
+  blocks.push(header);
+
+  if (message.content) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: fitMarkdown(message.content, MAX_SECTION, toSlack) } });
+  }
+  if (message.quote) {
+    // Shortened before converting, so no <url|label> link is cut in two
+    const title = `*${toSlack(message.quote.title)}*`;
+    const link = `<${message.quote.link}|${toSlack(message.quote.linkLabel)}>`;
+    const text = fitMarkdown(message.quote.text, MAX_SECTION - title.length - link.length - 2, markdown => quoteLines(toSlack(markdown)));
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `${title}\n${text}\n${link}` } });
+  }
+  message.media.slice(0, MAX_IMAGES).forEach(url => {
+    blocks.push({ type: 'image', image_url: url, alt_text: url });
+  });
+  if (message.notice) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: toSlack(message.notice) }] });
+  }
+  if (message.links.length > 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: message.links.map(link => `<${link.url}|${link.label}>`).join(' | ') }] });
+  }
+
+  // `text` is what notifications and screen readers show
+  return { text: toPlain(message.title), blocks };
+}
+
+module.exports = {
+  name: 'slack',
+  edits: false,
+
+  validate(destination) {
+    if (!/^https?:\/\//.test(destination.url || '')) return 'needs an http(s) incoming webhook url';
+    return null;
+  },
+
+  target(destination) {
+    return { url: destination.url };
+  },
+
+  render,
+
+  request(item) {
+    return { url: item.url, method: 'POST', body: JSON.stringify(item.payload) };
+  },
+
+  parseResponse() {
+    return { messageId: null };
+  },
+
+  retryAfter() {
+    return null;
+  },
+
+  // Incoming webhooks only take POSTs, so there is nothing to check without posting
+  probe() {
+    return null;
+  }
+};
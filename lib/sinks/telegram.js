@@ -0,0 +1,76 @@
+const { escapeHtml, toHtml, fitMarkdown } = require('./markdown');
+
+// Telegram Bot API: sendMessage with HTML formatting. The bot has to be a member
+// of the chat; `chatId` is the numeric ID or @channelname.
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+// Telegram's limit for a message's text, and the part of it a quoted note may take
+const MAX_TEXT = 4096;
+const MAX_QUOTE = 1024;
+
+function render(message, destination) {
+  const title = message.actor && message.actor.link
+    ? `<b><a href="${escapeHtml(message.actor.link)}">${escapeHtml(message.title)}</a></b>`
+    : `<b>${escapeHtml(message.title)}</b>`;
+  const parts = [title];
+  if (message.quote) {
+    parts.push(`<blockquote><b>${escapeHtml(message.quote.title)}</b>\n${fitMarkdown(message.quote.text, MAX_QUOTE, toHtml)}</blockquote>` +
+      `\n<a href="${escapeHtml(message.quote.link)}">${escapeHtml(message.quote.linkLabel)}</a>`);
+  }
+  if (message.notice) parts.push(`<i>${escapeHtml(message.notice)}</i>`);
+  if (message.links.length > 0) {
+    parts.push(message.links.map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join(' | '));
+  }
+  // The content gets whatever room the rest leaves; cutting the finished HTML could break a tag
+  if (message.content) {
+    const room = MAX_TEXT - parts.join('\n\n').length - 2;
+    parts.splice(1, 0, fitMarkdown(message.content, Math.max(room, 0), toHtml));
+  }
+
+  // The first picture is shown as the link preview; without one, previews are off
+  return {
+    chat_id: destination.chatId,
+    text: parts.join('\n\n'),
+    parse_mode: 'HTML',
+    link_preview_options: message.media.length > 0
+      ? { url: message.media[0], prefer_large_media: true, show_above_text: false }
+      : { is_disabled: true }
+  };
+}
+
+module.exports = {
+  name: 'telegram',
+  edits: false,
+
+  validate(destination) {
+    if (!destination.token) return 'needs a bot token';
+    if (!destination.chatId) return 'needs a chatId';
+    if (destination.apiUrl && !/^https?:\/\//.test(destination.apiUrl)) return 'has an invalid apiUrl';
+    return null;
+  },
+
+  target(destination) {
+    const apiUrl = (destination.apiUrl || DEFAULT_API_URL).replace(/\/$/, '');
+    return { url: `${apiUrl}/bot${destination.token}/sendMessage` };
+  },
+
+  render,
+
+  request(item) {
+    return { url: item.url, method: 'POST', body: JSON.stringify(item.payload) };
+  },
+
+  parseResponse(body) {
+    return { messageId: body && body.result ? String(body.result.message_id) : null };
+  },
+
+  retryAfter(body) {
+    return body.parameters && body.parameters.retry_after ? body.parameters.retry_after : null;
+  },
+
+  // Fails when the token is wrong or the bot can't see the chat
+  probe(destination) {
+    const apiUrl = (destination.apiUrl || DEFAULT_API_URL).replace(/\/$/, '');
+    return { url: `${apiUrl}/bot${destination.token}/getChat?chat_id=${encodeURIComponent(destination.chatId)}` };
+  }
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// Persistent bot state: forwarded event IDs, per-filter high-water marks and
+// the Discord message each event became (so it can be edited or deleted later)
+// and the Discord thread each Nostr conversation is posted in.
+// Stored as a small JSON file so restarts can resume where the bot left off.
+function createStateStore({ file, maxEntries = 10000, saveDelayMs = 1000, log = createLogger() } = {}) {
+  let forwarded = new Set();
+  let highWater = {};
+  let messages = new Map();
+  let threads = new Map();
+  let saveTimer = null;
+
+  // Load previous state from disk (missing or corrupt files start fresh)
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      forwarded = new Set(Array.isArray(data.forwarded) ? data.forwarded : []);
+      highWater = data.highWater && typeof data.highWater === 'object' ? data.highWater : {};
+      messages = new Map(data.messages && typeof data.messages === 'object' ? Object.entries(data.messages) : []);
+      threads = new Map(data.threads && typeof data.threads === 'object' ? Object.entries(data.threads) : []);
+      log.info(`💾 Loaded state: ${forwarded.size} forwarded events, ${Object.keys(highWater).length} filter marks, ${messages.size} Discord messages`);
+    } catch (error) {
+      log.error(`❌ Could not read state file ${file}`, { error });
+    }
+  }
+
+  // Write state atomically (temp file + rename) so a crash never leaves half a file
+  function saveNow() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        forwarded: Array.from(forwarded),
+        highWater: highWater,
+        messages: Object.fromEntries(messages),
+        threads: Object.fromEntries(threads)
+      }));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      log.error(`❌ Could not write state file ${file}`, { error });
+    }
+  }
+
+  // Batch bursts of updates into a single write
+  function scheduleSave() {
+    if (saveTimer || !file) return;
+    saveTimer = setTimeout(saveNow, saveDelayMs);
+  }
+
+  function hasForwarded(eventId) {
+    return forwarded.has(eventId);
+  }
+
+  function markForwarded(eventId) {
+    forwarded.add(eventId);
+
+    // Drop the oldest IDs once we pass the cap (Sets keep insertion order)
+    while (forwarded.size > maxEntries) {
+      const firstItem = forwarded.values().next().value;
+      forwarded.delete(firstItem);
+    }
+    scheduleSave();
+  }
+
+  // Discord message info for a `destination:eventId` or `destination:address` key
+  function getMessage(key) {
+    return messages.get(key) || null;
+  }
+
+  function setMessage(key, info) {
+    // Re-insert so the newest mappings are the last to be evicted
+    messages.delete(key);
+    messages.set(key, info);
+    while (messages.size > maxEntries) {
+      messages.delete(messages.keys().next().value);
+    }
+    scheduleSave();
+  }
+
+  function forgetMessage(key) {
+    if (messages.delete(key)) scheduleSave();
+  }
+
+  // Discord thread ID for a `destination:rootEventId` key
+  function getThread(key) {
+    return threads.get(key) || null;
+  }
+
+  function setThread(key, threadId) {
+    threads.delete(key);
+    threads.set(key, threadId);
+    while (threads.size > maxEntries) {
+      threads.delete(threads.keys().next().value);
+    }
+    scheduleSave();
+  }
+
+  function getHighWater(key) {
+    return highWater[key] || null;
+  }
+
+  function updateHighWater(key, createdAt) {
+    if (!highWater[key] || createdAt > highWater[key]) {
+      highWater[key] = createdAt;
+      scheduleSave();
+    }
+  }
+
+  load();
+
+  return {
+    hasForwarded,
+    markForwarded,
+    getHighWater,
+    updateHighWater,
+    getMessage,
+    setMessage,
+    forgetMessage,
+    getThread,
+    setThread,
+    save: saveNow,
+    get size() {
+      return forwarded.size;
+    }
+  };
+}
+
+// Moves a store's high-water marks only as far as is safe while events are handled
+// concurrently: a mark never passes an older event that is still in flight, so a
+// crash can't skip it on restart. `begin(keys, createdAt)` returns `finish(handled, markAt)`,
+// called once per event; unhandled or failed events leave the marks where they are.
+// `markAt` records another time than `createdAt` (a gift wrap's inner message time).
+function createHighWaterTracker(store) {
+  const inFlight = new Map();
+  const done = new Map();
+
+  function flush(key) {
+    if (!done.has(key)) return;
+    const waiting = inFlight.get(key) || [];
+    const oldest = waiting.length > 0 ? Math.min(...waiting) : Infinity;
+    // `since` is inclusive, so resuming from the oldest in-flight event still picks it up
+    store.updateHighWater(key, Math.min(done.get(key), oldest));
+    if (done.get(key) <= oldest) done.delete(key);
+  }
+
+  function begin(keys, createdAt) {
+    keys.forEach(key => {
+      if (!inFlight.has(key)) inFlight.set(key, []);
+      inFlight.get(key).push(createdAt);
+    });
+    let finished = false;
+    return (handled, markAt = createdAt) => {
+      if (finished) return;
+      finished = true;
+      keys.forEach(key => {
+        const waiting = inFlight.get(key);
+        waiting.splice(waiting.indexOf(createdAt), 1);
+        if (waiting.length === 0) inFlight.delete(key);
+        if (handled) done.set(key, Math.max(done.get(key) || 0, markAt));
+        flush(key);
+      });
+    };
+  }
+
+  return { begin };
+}
+
+// Stable key for a subscription filter, ignoring the moving `since`/`until`/`limit` parts
+function filterKey(filter) {
+  return Object.keys(filter)
+    .filter(key => key !== 'since' && key !== 'until' && key !== 'limit')
+    .sort()
+    .map(key => `${key}=${[].concat(filter[key]).join(',')}`)
+    .join('&');
+}
+
+// Work out where a filter should resume from after a restart
+function resolveSince(lastSeen, now, maxLookbackSeconds) {
+  if (!lastSeen) return now;
+  // Relays compare `since` inclusively, so the last seen event comes back and is deduplicated
+  return Math.max(lastSeen, now - maxLookbackSeconds);
+}
+
+module.exports = { createStateStore, createHighWaterTracker, filterKey, resolveSince };
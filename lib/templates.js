@@ -0,0 +1,184 @@
+const fs = require('fs');
+
+// Message templates: per-kind (and per-route) overrides for the webhook
+// username and avatar and the main embed, with {placeholder} substitution.
+//
+// {
+//   "kinds": { "7": { ... }, "1:inbound": { ... } },
+//   "routes": { "<route name>": { "9735": { ... } } }
+// }
+//
+// A "kind:direction" key (own or inbound) wins over a plain kind key, and a
+// route's templates win over the global ones.
+
+const TEMPLATE_KEYS = ['username', 'avatar', 'title', 'url', 'description', 'color', 'footer', 'image', 'thumbnail', 'fields'];
+
+// Placeholders a template may use; `tags.<name>` reads any tag of the event
+const PROFILE_VARIABLES = ['name', 'npub', 'nip05', 'picture', 'link', 'mention'];
+const VARIABLES = {
+  kind: null,
+  id: null,
+  time: null,
+  actor: PROFILE_VARIABLES,
+  owner: PROFILE_VARIABLES.concat(['identity']),
+  note: ['content', 'link', 'id'],
+  target: ['content', 'link', 'id', 'author'],
+  zap: ['sats', 'comment', 'sender', 'valid'],
+  reaction: ['emoji']
+};
+
+const PLACEHOLDER = /\{([a-zA-Z_][\w-]*(?:\.[\w-]+)*)\}/g;
+
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), vars);
+}
+
+// Replace {a.b} placeholders; unknown or missing values become empty strings
+function interpolate(text, vars) {
+  return String(text).replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(vars, path);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+function checkPlaceholders(text, where) {
+  String(text).replace(PLACEHOLDER, (match, path) => {
+    const [root, key, ...rest] = path.split('.');
+    const known = root === 'tags'
+      ? key !== undefined && rest.length === 0
+      : Object.prototype.hasOwnProperty.call(VARIABLES, root) &&
+        (VARIABLES[root] === null ? key === undefined : VARIABLES[root].includes(key) && rest.length === 0);
+    if (!known) {
+      throw new Error(`${where}: unknown placeholder ${match}`);
+    }
+    return match;
+  });
+}
+
+// "#ff8800", "ff8800" or a number
+function parseColor(value, where) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) return value;
+  if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) return parseInt(value.replace('#', ''), 16);
+  throw new Error(`${where}: invalid color ${JSON.stringify(value)} (use "#rrggbb")`);
+}
+
+function normalizeTemplate(raw, where) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where} must be an object`);
+  }
+  Object.keys(raw).forEach(key => {
+    if (!TEMPLATE_KEYS.includes(key)) {
+      throw new Error(`${where}: unknown key "${key}" (use ${TEMPLATE_KEYS.join(', ')})`);
+    }
+  });
+
+  const template = Object.assign({}, raw);
+  TEMPLATE_KEYS.filter(key => key !== 'color' && key !== 'fields' && template[key] !== undefined).forEach(key => {
+    if (typeof template[key] !== 'string') {
+      throw new Error(`${where}: "${key}" must be a string`);
+    }
+    checkPlaceholders(template[key], `${where} ${key}`);
+  });
+  if (template.color !== undefined) {
+    template.color = parseColor(template.color, where);
+  }
+  if (template.fields !== undefined) {
+    if (!Array.isArray(template.fields) || template.fields.length > 25) {
+      throw new Error(`${where}: "fields" must be a list of at most 25 fields`);
+    }
+    template.fields = template.fields.map((field, index) => {
+      if (!field || typeof field.name !== 'string' || typeof field.value !== 'string') {
+        throw new Error(`${where}: field ${index + 1} needs a name and a value`);
+      }
+      checkPlaceholders(field.name, `${where} field ${index + 1}`);
+      checkPlaceholders(field.value, `${where} field ${index + 1}`);
+      return { name: field.name, value: field.value, inline: !!field.inline };
+    });
+  }
+  return template;
+}
+
+function normalizeKindTemplates(raw, where) {
+  const templates = {};
+  Object.keys(raw || {}).forEach(key => {
+    const [kind, direction, ...rest] = key.split(':');
+    if (!/^\d+$/.test(kind) || rest.length > 0 || (direction !== undefined && !['own', 'inbound'].includes(direction))) {
+      throw new Error(`${where}: invalid key "${key}" (use a kind such as "7" or "1:inbound")`);
+    }
+    templates[key] = normalizeTemplate(raw[key], `${where} "${key}"`);
+  });
+  return templates;
+}
+
+// Read and validate a templates file; `routeNames` are the configured routes
+function loadTemplates(file, routeNames = []) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read templates file ${file}: ${error.message}`);
+  }
+  return normalizeTemplates(raw, routeNames);
+}
+
+function normalizeTemplates(raw, routeNames = []) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Templates must be a JSON object');
+  }
+  const routes = {};
+  Object.keys(raw.routes || {}).forEach(name => {
+    if (!routeNames.includes(name)) {
+      throw new Error(`Templates for unknown route "${name}" (routes: ${routeNames.join(', ')})`);
+    }
+    routes[name] = normalizeKindTemplates(raw.routes[name], `Route "${name}"`);
+  });
+  return { kinds: normalizeKindTemplates(raw.kinds, 'Templates'), routes };
+}
+
+// The most specific template for an event, or null
+function findTemplate(templates, { kind, direction, route }) {
+  const scopes = [];
+  if (route && templates.routes[route]) scopes.push(templates.routes[route]);
+  scopes.push(templates.kinds);
+  for (const scope of scopes) {
+    const template = scope[`${kind}:${direction}`] || scope[String(kind)];
+    if (template) return template;
+  }
+  return null;
+}
+
+// Apply a template to a formatted payload; only the keys it sets are replaced
+function applyTemplate(payload, template, vars) {
+  const render = (text, limit) => interpolate(text, vars).trim().slice(0, limit);
+  const result = Object.assign({}, payload);
+  const embeds = (payload.embeds || [{}]).slice();
+  const embed = Object.assign({}, embeds[0]);
+
+  if (template.username !== undefined) result.username = render(template.username, 80) || payload.username;
+  if (template.avatar !== undefined) result.avatar_url = render(template.avatar) || payload.avatar_url;
+
+  const set = (key, value) => {
+    if (value) embed[key] = value;
+    else delete embed[key];
+  };
+  if (template.title !== undefined) set('title', render(template.title, 256));
+  if (template.url !== undefined) set('url', render(template.url));
+  if (template.description !== undefined) set('description', render(template.description, 4096));
+  if (template.color !== undefined) embed.color = template.color;
+  if (template.footer !== undefined) set('footer', render(template.footer, 2048) ? { text: render(template.footer, 2048) } : null);
+  if (template.image !== undefined) set('image', render(template.image) ? { url: render(template.image) } : null);
+  if (template.thumbnail !== undefined) set('thumbnail', render(template.thumbnail) ? { url: render(template.thumbnail) } : null);
+  if (template.fields !== undefined) {
+    // Discord rejects fields with an empty name or value, so those are left out
+    set('fields', template.fields
+      .map(field => ({ name: render(field.name, 256), value: render(field.value, 1024), inline: field.inline }))
+      .filter(field => field.name && field.value));
+    if (embed.fields && embed.fields.length === 0) delete embed.fields;
+  }
+
+  embeds[0] = embed;
+  result.embeds = embeds;
+  return result;
+}
+
+module.exports = { VARIABLES, interpolate, loadTemplates, normalizeTemplates, findTemplate, applyTemplate };
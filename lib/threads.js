@@ -0,0 +1,50 @@
+const fetch = require('node-fetch');
+const { DISCORD_API } = require('./interactions');
+
+// Discord threads for Nostr conversations. Forum channels start a thread with
+// every webhook post that has a `thread_name`; in text channels the bot opens
+// one on the message of the conversation's first note, which needs a bot token
+// with the Create Public Threads permission.
+
+// Discord caps thread names at 100 characters
+const MAX_THREAD_NAME = 100;
+// Archive after a week without messages; posting into the thread unarchives it
+const AUTO_ARCHIVE_MINUTES = 10080;
+// "A thread has already been created for this message"
+const THREAD_ALREADY_CREATED = 160004;
+
+// Plain one-line thread name from a note's text, or `fallback` when nothing is left
+function threadName(text, fallback) {
+  const name = String(text || '')
+    .replace(/nostr:[a-z0-9]+/g, '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!name) return fallback.slice(0, MAX_THREAD_NAME);
+  return name.length > MAX_THREAD_NAME ? `${name.slice(0, MAX_THREAD_NAME - 1)}…` : name;
+}
+
+// Open a thread on a posted message; resolves to the thread ID (which Discord makes equal to the message ID)
+async function startThread({ botToken, channelId, messageId, name, apiBase = DISCORD_API }) {
+  const response = await fetch(`${apiBase}/channels/${channelId}/messages/${messageId}/threads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bot ${botToken}` },
+    body: JSON.stringify({ name: name, auto_archive_duration: AUTO_ARCHIVE_MINUTES })
+  });
+  if (response.ok) {
+    const thread = await response.json();
+    return thread.id;
+  }
+  const detail = await response.text().catch(() => '');
+  let code = null;
+  try {
+    code = JSON.parse(detail).code;
+  } catch (error) {
+    // Not JSON, reported below
+  }
+  // Someone (or an earlier run that lost its state) already opened it
+  if (code === THREAD_ALREADY_CREATED) return messageId;
+  throw new Error(`Discord answered ${response.status}: ${detail.slice(0, 200)}`);
+}
+
+module.exports = { threadName, startThread };
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['off', 'follows', 'follows-of-follows'];
+const ACTIONS = ['drop', 'downgrade', 'moderate'];
+
+// Replies, comments and mentions are what the follow graph gates
+const GATED_KINDS = [1, 1111];
+
+// Trust levels each mode accepts for replies and mentions
+const TRUSTED_LEVELS = {
+  follows: ['self', 'follow'],
+  'follows-of-follows': ['self', 'follow', 'follow-of-follow']
+};
+
+// Validate the `trust` config section
+function normalizeTrust(raw, destinations) {
+  const trust = Object.assign({ mode: 'off', action: 'drop' }, raw || {});
+  if (!MODES.includes(trust.mode)) {
+    throw new Error(`Unknown trust mode "${trust.mode}" (use ${MODES.join(', ')})`);
+  }
+  if (!ACTIONS.includes(trust.action)) {
+    throw new Error(`Unknown trust action "${trust.action}" (use ${ACTIONS.join(', ')})`);
+  }
+  if (trust.action === 'downgrade' && !destinations[trust.downgradeDestination]) {
+    throw new Error(`Trust action "downgrade" needs a downgradeDestination (got "${trust.downgradeDestination}")`);
+  }
+  trust.refreshIntervalMs = parseInt(trust.refreshIntervalMs || 3600000);
+  return trust;
+}
+
+// Decide what to do with an event given who it's addressed to.
+// Returns { action: 'pass' | 'drop' | 'downgrade' | 'moderate', reason }.
+function createTrustPolicy(trust, graph) {
+  function check(event, matches) {
+    if (trust.mode === 'off') return { action: 'pass' };
+
+    const owners = matches.filter(match => match.direction === 'inbound').map(match => match.identity.pubkey);
+    if (owners.length === 0) return { action: 'pass' };
+
+    // Mute lists apply to every kind
+    for (const owner of owners) {
+      const reason = graph.mutedReason(owner, event);
+      if (reason) return { action: 'drop', reason };
+    }
+
+    // Only replies and mentions are gated by the follow graph
+    if (!GATED_KINDS.includes(event.kind)) return { action: 'pass' };
+    const judged = owners.filter(owner => graph.hasList(owner));
+    if (judged.length === 0) return { action: 'pass' };
+
+    const levels = judged.map(owner => graph.trustLevel(owner, event.pubkey));
+    if (levels.some(level => TRUSTED_LEVELS[trust.mode].includes(level))) {
+      return { action: 'pass' };
+    }
+    return { action: trust.action, reason: `author is ${levels.includes('follow-of-follow') ? 'only a follow-of-follow' : 'not in the follow graph'}` };
+  }
+
+  return { check };
+}
+
+// Held events, one JSON object per line. Each entry carries the ready-made
+// payloads so an operator can approve it without the bot re-fetching anything.
+function appendModeration(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+function readModeration(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+function writeModeration(file, entries) {
+  fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+module.exports = {
+  MODES,
+  ACTIONS,
+  normalizeTrust,
+  createTrustPolicy,
+  appendModeration,
+  readModeration,
+  writeModeration
+};
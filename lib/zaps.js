@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { validateEvent, verifySignature } = require('nostr-tools');
+const { decodeInvoice } = require('./bolt11');
+
+function getTagValue(tags, name) {
+  const tag = (tags || []).find(t => t[0] === name);
+  return tag ? tag[1] : null;
+}
+
+// Check a zap receipt (kind 9735) against NIP-57 appendix F and pull out
+// the details worth showing. `problems` lists every check that failed.
+function validateZapReceipt(receipt, { recipientPubkey, providerPubkey } = {}) {
+  const problems = [];
+  const result = {
+    valid: false,
+    problems: problems,
+    amountMsat: null,
+    senderPubkey: null,
+    comment: '',
+    zapRequest: null,
+    invoice: null
+  };
+
+  // The receipt must come from the recipient's LNURL server, when we know its key
+  if (providerPubkey && receipt.pubkey !== providerPubkey) {
+    problems.push('receipt not signed by the recipient\'s zap provider');
+  }
+
+  const description = getTagValue(receipt.tags, 'description');
+  let zapRequest = null;
+  if (!description) {
+    problems.push('missing zap request');
+  } else {
+    try {
+      zapRequest = JSON.parse(description);
+    } catch (e) {
+      problems.push('zap request is not valid JSON');
+    }
+  }
+
+  if (zapRequest) {
+    result.zapRequest = zapRequest;
+    result.comment = zapRequest.content || '';
+    if (zapRequest.kind !== 9734 || !validateEvent(zapRequest) || !verifySignature(zapRequest)) {
+      problems.push('zap request is not a signed kind 9734 event');
+    } else {
+      result.senderPubkey = zapRequest.pubkey;
+    }
+
+    // Recipient must agree between receipt, zap request and who we are watching
+    const receiptRecipient = getTagValue(receipt.tags, 'p');
+    const requestRecipient = getTagValue(zapRequest.tags, 'p');
+    if (!receiptRecipient || receiptRecipient !== requestRecipient) {
+      problems.push('p tag does not match the zap request');
+    }
+    if (recipientPubkey && receiptRecipient !== recipientPubkey) {
+      problems.push('zap is not addressed to this recipient');
+    }
+
+    const receiptEvent = getTagValue(receipt.tags, 'e');
+    const requestEvent = getTagValue(zapRequest.tags, 'e');
+    if (requestEvent && receiptEvent !== requestEvent) {
+      problems.push('e tag does not match the zap request');
+    }
+  }
+
+  const bolt11 = getTagValue(receipt.tags, 'bolt11');
+  if (!bolt11) {
+    problems.push('missing bolt11 invoice');
+  } else {
+    try {
+      result.invoice = decodeInvoice(bolt11);
+    } catch (error) {
+      problems.push(`invalid bolt11 invoice (${error.message})`);
+    }
+  }
+
+  if (result.invoice) {
+    result.amountMsat = result.invoice.amountMsat;
+
+    // The invoice commits to the zap request through its description hash
+    const expectedHash = description ? crypto.createHash('sha256').update(description, 'utf8').digest('hex') : null;
+    if (result.invoice.descriptionHash !== expectedHash) {
+      problems.push('invoice description hash does not match the zap request');
+    }
+
+    const requestedAmount = zapRequest ? getTagValue(zapRequest.tags, 'amount') : null;
+    if (requestedAmount && result.invoice.amountMsat !== null && parseInt(requestedAmount) !== result.invoice.amountMsat) {
+      problems.push('invoice amount differs from the requested amount');
+    }
+  }
+
+  // Fall back to the requested amount for amountless invoices
+  if (result.amountMsat === null && zapRequest) {
+    const requestedAmount = parseInt(getTagValue(zapRequest.tags, 'amount'));
+    if (!isNaN(requestedAmount)) result.amountMsat = requestedAmount;
+  }
+
+  result.valid = problems.length === 0;
+  return result;
+}
+
+module.exports = { validateZapReceipt };
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const { readDeadLetters, writeDeadLetters } = require('../lib/delivery');
+const { Bridge } = require('../lib/bridge');
+
+// Inspect or replay messages that the delivery queue gave up on.
+//   npm run dead-letters               list parked messages
+//   npm run dead-letters -- replay     resend all of them
+//   npm run dead-letters -- replay <event id prefix>
+const deadLetterFile = process.env.DEAD_LETTER_FILE || './data/dead-letters.jsonl';
+const [command = 'list', idPrefix] = process.argv.slice(2);
+
+function list(entries) {
+  if (entries.length === 0) {
+    console.log('No dead letters.');
+    return;
+  }
+  entries.forEach(entry => {
+    console.log(`${new Date(entry.failedAt).toISOString()}  ${entry.destination || '?'}  ${entry.eventId}  (${entry.attempts} attempts)`);
+    console.log(`   ${entry.lastError}`);
+  });
+  console.log(`${entries.length} dead letter(s) in ${deadLetterFile}`);
+}
+
+async function replay(entries) {
+  const selected = entries.filter(entry => !idPrefix || entry.eventId.startsWith(idPrefix));
+  if (selected.length === 0) {
+    console.log('Nothing to replay.');
+    return;
+  }
+
+  // Take the selected entries out of the file; anything that fails again is appended back
+  writeDeadLetters(deadLetterFile, entries.filter(entry => !selected.includes(entry)));
+
+  // The bridge's queue marks replayed events as forwarded and keeps their message for later edits
+  const bridge = new Bridge({ queueFile: null });
+  bridge.on('forwarded', ({ eventId, destination }) => {
+    console.log(`✅ Replayed ${eventId.slice(0, 8)}... to ${destination}`);
+  });
+  const delivered = await bridge.replay(selected);
+  console.log(`Replayed ${delivered.length}/${selected.length} dead letter(s)`);
+}
+
+const entries = readDeadLetters(deadLetterFile);
+if (command === 'list') {
+  list(entries);
+} else if (command === 'replay') {
+  replay(entries).catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+  });
+} else {
+  console.error(`Unknown command "${command}" (use list or replay)`);
+  process.exit(1);
+}
@@ -0,0 +1,78 @@
+require('dotenv').config();
+const { Bridge } = require('../lib/bridge');
+const { readModeration, writeModeration } = require('../lib/trust');
+
+// Review replies and mentions held back by the web-of-trust check.
+//   npm run moderation                          list held events
+//   npm run moderation -- approve <event id prefix>
+//   npm run moderation -- reject <event id prefix>
+const moderationFile = process.env.MODERATION_FILE || './data/moderation.jsonl';
+const [command = 'list', idPrefix] = process.argv.slice(2);
+
+function list(entries) {
+  if (entries.length === 0) {
+    console.log('Nothing waiting for moderation.');
+    return;
+  }
+  entries.forEach(entry => {
+    console.log(`${new Date(entry.heldAt).toISOString()}  ${entry.eventId}  from ${entry.authorName || entry.author}  → ${entry.deliveries.map(d => d.destination).join(', ')}`);
+    console.log(`   ${entry.reason}: ${entry.content.replace(/\n+/g, ' ')}`);
+  });
+  console.log(`${entries.length} held event(s) in ${moderationFile}`);
+}
+
+function select(entries) {
+  if (!idPrefix) {
+    console.error('Give the event ID (or a prefix of it) to act on');
+    process.exit(1);
+  }
+  const selected = entries.filter(entry => entry.eventId.startsWith(idPrefix));
+  if (selected.length === 0) {
+    console.log(`No held event matches ${idPrefix}.`);
+  }
+  return selected;
+}
+
+async function approve(entries) {
+  const selected = select(entries);
+  if (selected.length === 0) return;
+
+  // Sent through the bridge's queue, so approved posts are recorded in STATE_FILE like live
+  // ones (later edits and deletions find them); anything refused ends up in the dead letters
+  const bridge = new Bridge({ queueFile: null });
+  bridge.on('forwarded', ({ eventId, destination }) => {
+    console.log(`✅ Posted ${eventId.slice(0, 8)}... to ${destination}`);
+  });
+  const deliveries = [];
+  selected.forEach(entry => entry.deliveries.forEach(delivery => {
+    deliveries.push(Object.assign({ eventId: entry.eventId }, delivery));
+  }));
+  const delivered = await bridge.replay(deliveries);
+
+  // Only now take them out, so an approval interrupted mid-delivery can be run again
+  const approved = selected.map(entry => entry.eventId);
+  writeModeration(moderationFile, readModeration(moderationFile).filter(entry => !approved.includes(entry.eventId)));
+  console.log(`Approved ${selected.length} event(s), ${delivered.length}/${deliveries.length} message(s) delivered`);
+}
+
+function reject(entries) {
+  const selected = select(entries);
+  if (selected.length === 0) return;
+  writeModeration(moderationFile, entries.filter(entry => !selected.includes(entry)));
+  selected.forEach(entry => console.log(`🗑️ Rejected ${entry.eventId.slice(0, 8)}... from ${entry.authorName || entry.author}`));
+}
+
+const entries = readModeration(moderationFile);
+if (command === 'list') {
+  list(entries);
+} else if (command === 'approve') {
+  approve(entries).catch(error => {
+    console.error('Approve failed:', error);
+    process.exit(1);
+  });
+} else if (command === 'reject') {
+  reject(entries);
+} else {
+  console.error(`Unknown command "${command}" (use list, approve or reject)`);
+  process.exit(1);
+}
@@ -0,0 +1,27 @@
+// A few lines of test runner for the script-style checks in this folder:
+// `check(name, fn)` registers a (possibly async) check; they run one after
+// another once the file has loaded, and any failure sets a non-zero exit code.
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+  if (checks.length === 1) setImmediate(run);
+}
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(error.stack || error);
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} passed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+module.exports = { check };
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const { nip19 } = require('nostr-tools');
+const { check } = require('./check');
+const { normalizeFilters, filtersFromEnv, createRulesEngine } = require('../lib/filters');
+const { toHexPubkey } = require('../lib/config');
+
+// Filter rules: what each one keeps and drops, and how configured values are normalized.
+
+const me = { pubkey: 'a'.repeat(64) };
+const alice = 'b'.repeat(64);
+const bob = 'c'.repeat(64);
+const own = [{ direction: 'own', identity: me }];
+const inbound = [{ direction: 'inbound', identity: me }];
+
+function note(content, fields = {}) {
+  return Object.assign({ kind: 1, pubkey: alice, content, tags: [] }, fields);
+}
+
+function engine(raw, options) {
+  return createRulesEngine(normalizeFilters(raw, toHexPubkey), options);
+}
+
+// The rule that dropped the event, or null if it was kept
+function droppedBy(rules, event, matches = inbound) {
+  const result = rules.check(event, matches);
+  return result ? result.rule : null;
+}
+
+check('keywords match case-insensitively and skip reactions, reposts and zaps', () => {
+  const rules = engine({ includeKeywords: ['Nostr'], excludeKeywords: ['SPAM'] });
+  assert.strictEqual(droppedBy(rules, note('I like nostr')), null);
+  assert.strictEqual(droppedBy(rules, note('I like cats')), 'includeKeywords');
+  assert.strictEqual(droppedBy(rules, note('nostr spam')), 'excludeKeywords');
+  assert.strictEqual(droppedBy(rules, note('🤙', { kind: 7 })), null);
+});
+
+check('regexes take /pattern/flags or a bare pattern, and can be used again', () => {
+  const rules = engine({ excludeRegex: ['/buy\\s+now/g', 'free money'] });
+  assert.strictEqual(droppedBy(rules, note('BUY NOW')), null);
+  assert.strictEqual(droppedBy(rules, note('buy  now')), 'excludeRegex');
+  assert.strictEqual(droppedBy(rules, note('buy now')), 'excludeRegex');
+  assert.strictEqual(droppedBy(rules, note('FREE MONEY')), 'excludeRegex');
+  assert.throws(() => normalizeFilters({ includeRegex: ['('] }), /Invalid filter regex/);
+});
+
+check('hashtags ignore a leading # and case', () => {
+  const rules = engine({ includeHashtags: ['#Nostr'], excludeHashtags: ['nsfw'] });
+  assert.strictEqual(droppedBy(rules, note('hi', { tags: [['t', 'NOSTR']] })), null);
+  assert.strictEqual(droppedBy(rules, note('hi')), 'includeHashtags');
+  assert.strictEqual(droppedBy(rules, note('hi', { tags: [['t', 'nostr'], ['t', 'NSFW']] })), 'excludeHashtags');
+});
+
+check('pubkey lists take hex or npub and never drop the watched identities\' own events', () => {
+  const rules = engine({ blockPubkeys: [nip19.npubEncode(alice)] });
+  assert.strictEqual(droppedBy(rules, note('hi')), 'blockPubkeys');
+  assert.strictEqual(droppedBy(rules, note('hi', { pubkey: bob })), null);
+  assert.strictEqual(droppedBy(rules, note('hi'), own), null);
+
+  const allowed = engine({ allowPubkeys: [bob] });
+  assert.strictEqual(droppedBy(allowed, note('hi')), 'allowPubkeys');
+  assert.strictEqual(droppedBy(allowed, note('hi', { pubkey: bob })), null);
+});
+
+check('allowedReactions treats +, 👍 and an empty reaction as the same like', () => {
+  const rules = engine({ allowedReactions: ['👍', '🔥'] });
+  ['+', '👍', '', '🔥'].forEach(content => {
+    assert.strictEqual(droppedBy(rules, note(content, { kind: 7 })), null, `"${content}" should be kept`);
+  });
+  assert.strictEqual(droppedBy(rules, note('🤡', { kind: 7 })), 'allowedReactions');
+  assert.strictEqual(droppedBy(engine({ allowedReactions: ['+'] }), note('👍', { kind: 7 })), null);
+});
+
+check('minZapSats reads the amount from the zap request when there is no invoice', () => {
+  const rules = engine({ minZapSats: 100 });
+  const zap = amountMsat => note('', {
+    kind: 9735,
+    tags: [['description', JSON.stringify({ tags: [['amount', String(amountMsat)]] })]]
+  });
+  assert.strictEqual(droppedBy(rules, zap(21000)), 'minZapSats');
+  assert.strictEqual(droppedBy(rules, zap(100000)), null);
+  assert.throws(() => normalizeFilters({ minZapSats: 'lots' }), /Invalid minZapSats/);
+});
+
+check('repliesFromFollowsOnly needs a contact list to compare against', () => {
+  const follows = { [me.pubkey]: [bob] };
+  const options = {
+    hasFollowList: owner => !!follows[owner],
+    isFollowedBy: (owner, pubkey) => follows[owner].includes(pubkey)
+  };
+  const rules = engine({ repliesFromFollowsOnly: 'true' }, options);
+  assert.strictEqual(droppedBy(rules, note('reply')), 'repliesFromFollowsOnly');
+  assert.strictEqual(droppedBy(rules, note('reply', { pubkey: bob })), null);
+  assert.strictEqual(droppedBy(rules, note('🤙', { kind: 7 })), null);
+
+  const noList = engine({ repliesFromFollowsOnly: true }, { hasFollowList: () => false });
+  assert.strictEqual(droppedBy(noList, note('reply')), null);
+});
+
+check('FILTER_* variables split on commas, regexes on ||', () => {
+  const raw = filtersFromEnv({
+    FILTER_INCLUDE_KEYWORDS: 'nostr, zap ',
+    FILTER_EXCLUDE_REGEX: 'a{1,3}||b',
+    FILTER_MIN_ZAP_SATS: '21'
+  });
+  assert.deepStrictEqual(raw, { includeKeywords: ['nostr', 'zap'], excludeRegex: ['a{1,3}', 'b'], minZapSats: '21' });
+  assert.throws(() => normalizeFilters({ includeKeyword: ['typo'] }), /Unknown filter rule "includeKeyword"/);
+});
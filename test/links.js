@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { check } = require('./check');
+const { BUILTIN_PROVIDERS, normalizeLinks, createLinkBuilder, formatLinkList } = require('../lib/links');
+const { loadLocale } = require('../lib/i18n');
+
+// Client links for events, and how the "Links" field is kept within Discord's limit.
+
+const t = loadLocale('en');
+const eventId = 'e'.repeat(64);
+const relays = ['wss://relay.with-a-rather-long-hostname.example.org/some/path', 'wss://another.relay.with-a-long-name.example.org/nostr'];
+
+check('every provider with relay hints still fits one Discord field', () => {
+  const { providers } = normalizeLinks({ providers: Object.keys(BUILTIN_PROVIDERS) });
+  const links = createLinkBuilder({ providers, seenOn: () => relays }).eventLinks(eventId);
+  assert.strictEqual(links.length, 7);
+  assert.ok(formatLinkList(links).length > 1024, 'the full list should be too long for this check to mean anything');
+
+  const room = 1024 - t('common.viewOn', { links: '' }).length;
+  const value = t('common.viewOn', { links: formatLinkList(links, room) });
+  assert.ok(value.length <= 1024, `${value.length} characters`);
+  assert.ok(value.includes(`[Nostria](${links[0].url})`));
+  assert.ok(!value.endsWith('| '));
+});
+
+check('the first link is kept even when it is longer than the room', () => {
+  const links = [{ label: 'One', url: 'https://example.org/1' }, { label: 'Two', url: 'https://example.org/2' }];
+  assert.strictEqual(formatLinkList(links, 5), '[One](https://example.org/1)');
+  assert.strictEqual(formatLinkList(links), '[One](https://example.org/1) | [Two](https://example.org/2)');
+});
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const http = require('http');
+const { check } = require('./check');
+const { SINKS } = require('../lib/sinks');
+const { createDeliveryQueue } = require('../lib/delivery');
+const { createLogger } = require('../lib/logger');
+
+// Each sink's request and response handling against a local stand-in for its API.
+// Items go through the delivery queue, so they are sent exactly as the bot sends them.
+
+const log = createLogger({ write: () => {} });
+const requests = [];
+// path prefix -> [status, body] the stand-in answers with
+const answers = {};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+    const prefix = Object.keys(answers).find(candidate => req.url.startsWith(candidate));
+    const [status, answer] = prefix ? answers[prefix] : [404, { error: 'unknown path' }];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof answer === 'string' ? answer : JSON.stringify(answer));
+  });
+});
+
+let base;
+
+check('start the stand-in API', () => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+// Queue one item for `destination` and resolve to the delivered item, the dead letter,
+// or the edit whose message is gone
+function deliver(sink, destination, fields) {
+  return new Promise(resolve => {
+    const queue = createDeliveryQueue({
+      log,
+      maxAttempts: 1,
+      onDelivered: item => resolve({ delivered: item, request: requests[requests.length - 1] }),
+      onDeadLetter: entry => resolve({ deadLetter: entry }),
+      onGone: item => resolve({ gone: item })
+    });
+    queue.enqueue(Object.assign({ sink: sink.name }, sink.target(destination), {
+      key: `test:${requests.length}`,
+      eventId: 'e'.repeat(64),
+      destination: 'test',
+      payload: { text: 'hello' }
+    }, fields));
+  });
+}
+
+const message = {
+  eventId: 'e'.repeat(64),
+  kind: 1,
+  createdAt: 1700000000,
+  identity: 'me',
+  action: 'note',
+  title: 'Alice posted',
+  actor: { name: 'Alice', nip05: null, picture: 'https://example.org/a.png', link: 'https://njump.me/alice' },
+  content: 'Hello **world** <3 [site](https://example.org)',
+  quote: null,
+  media: [],
+  links: [{ label: 'njump', url: 'https://njump.me/e' }],
+  amount: null,
+  notice: null
+};
+
+check('discord posts with ?wait=true and reads the message and channel ID', async () => {
+  answers['/webhooks/1/token'] = [200, { id: '42', channel_id: '7' }];
+  const { delivered, request } = await deliver(SINKS.discord, { url: `${base}/webhooks/1/token` }, { threadName: 'A thread' });
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/webhooks/1/token?wait=true');
+  assert.deepStrictEqual(request.body, { text: 'hello', thread_name: 'A thread' });
+  assert.strictEqual(delivered.messageId, '42');
+  assert.strictEqual(delivered.channelId, '7');
+});
+
+check('discord edits and deletes one message, inside its thread', async () => {
+  answers['/webhooks/1/token'] = [200, { id: '42' }];
+  const destination = { url: `${base}/webhooks/1/token` };
+  const edit = await deliver(SINKS.discord, destination, { method: 'PATCH', messageId: '42', threadId: '9' });
+  assert.strictEqual(edit.request.method, 'PATCH');
+  assert.strictEqual(edit.request.url, '/webhooks/1/token/messages/42?thread_id=9');
+
+  answers['/webhooks/1/token'] = [204, ''];
+  const removal = await deliver(SINKS.discord, destination, { method: 'DELETE', messageId: '42', payload: null });
+  assert.strictEqual(removal.request.method, 'DELETE');
+  assert.strictEqual(removal.request.url, '/webhooks/1/token/messages/42');
+  assert.strictEqual(removal.request.body, null);
+});
+
+check('slack posts Block Kit and has no message ID to keep', async () => {
+  answers['/slack'] = [200, 'ok'];
+  const payload = SINKS.slack.render(message);
+  const { delivered, request } = await deliver(SINKS.slack, { url: `${base}/slack/hook` }, { payload });
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.body.text, 'Alice posted');
+  assert.strictEqual(request.body.blocks[1].text.text, 'Hello *world* &lt;3 <https://example.org|site>');
+  assert.strictEqual(delivered.messageId, null);
+});
+
+check('telegram calls sendMessage with the bot token and reads message_id', async () => {
+  answers['/botT0K3N/'] = [200, { ok: true, result: { message_id: 1234 } }];
+  const destination = { token: 'T0K3N', chatId: '@channel', apiUrl: `${base}/` };
+  const payload = SINKS.telegram.render(message, destination);
+  const { delivered, request } = await deliver(SINKS.telegram, destination, { payload });
+  assert.strictEqual(request.url, '/botT0K3N/sendMessage');
+  assert.strictEqual(request.body.chat_id, '@channel');
+  assert.strictEqual(request.body.parse_mode, 'HTML');
+  assert.ok(request.body.text.includes('Hello <b>world</b> &lt;3 <a href="https://example.org">site</a>'));
+  assert.strictEqual(delivered.messageId, '1234');
+  assert.strictEqual(SINKS.telegram.probe(destination).url, `${base}/botT0K3N/getChat?chat_id=%40channel`);
+});
+
+check('matrix PUTs an m.notice with the delivery key as transaction ID', async () => {
+  answers['/_matrix/'] = [200, { event_id: '$abc' }];
+  const destination = { homeserver: base, roomId: '!room:example.org', accessToken: 'secret' };
+  const payload = SINKS.matrix.render(message);
+  const { delivered, request } = await deliver(SINKS.matrix, destination, { payload, key: 'test:matrix/1' });
+  assert.strictEqual(request.method, 'PUT');
+  assert.strictEqual(request.url, '/_matrix/client/v3/rooms/!room%3Aexample.org/send/m.room.message/test%3Amatrix%2F1');
+  assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  assert.strictEqual(request.body.msgtype, 'm.notice');
+  assert.strictEqual(delivered.messageId, '$abc');
+});
+
+check('json sends the neutral message with its own headers', async () => {
+  answers['/json'] = [200, { id: 5 }];
+  const destination = { url: `${base}/json`, headers: { 'X-Token': 'abc' } };
+  const { delivered, request } = await deliver(SINKS.json, destination, { payload: SINKS.json.render(message) });
+  assert.strictEqual(request.headers['x-token'], 'abc');
+  assert.strictEqual(request.headers['content-type'], 'application/json');
+  assert.deepStrictEqual(request.body, message);
+  assert.strictEqual(delivered.messageId, '5');
+});
+
+check('long notes are shortened without breaking HTML or mrkdwn links', async () => {
+  const content = Array.from({ length: 120 }, (_, index) => `Line ${index} **bold** & [link ${index}](https://example.org/${index})`).join('\n');
+  assert.ok(content.length > 5000);
+  const long = Object.assign({}, message, {
+    content,
+    quote: { title: 'Bob wrote', text: content, link: 'https://njump.me/q', linkLabel: 'View note' }
+  });
+
+  answers['/botT0K3N/'] = [200, { ok: true, result: { message_id: 1235 } }];
+  const destination = { token: 'T0K3N', chatId: '@channel', apiUrl: base };
+  const { delivered, request } = await deliver(SINKS.telegram, destination, { payload: SINKS.telegram.render(long, destination) });
+  const text = request.body.text;
+  assert.ok(delivered);
+  assert.ok(text.length <= 4096, `${text.length} characters`);
+  assert.strictEqual((text.match(/<a /g) || []).length, (text.match(/<\/a>/g) || []).length);
+  assert.strictEqual((text.match(/<b>/g) || []).length, (text.match(/<\/b>/g) || []).length);
+  assert.ok(text.endsWith('<a href="https://njump.me/e">njump</a>'));
+
+  SINKS.slack.render(long).blocks.filter(block => block.type === 'section').forEach(block => {
+    assert.ok(block.text.text.length <= 3000, `${block.text.text.length} characters`);
+    (block.text.text.match(/<[^>]*>/g) || []).forEach(link => assert.ok(/^<https:\/\/[^|>]+\|[^>]+>$/.test(link), link));
+  });
+});
+
+check('429 answers are read in each sink\'s own format', () => {
+  assert.strictEqual(SINKS.discord.retryAfter({ retry_after: 1.5 }), 1.5);
+  assert.strictEqual(SINKS.telegram.retryAfter({ parameters: { retry_after: 3 } }), 3);
+  assert.strictEqual(SINKS.matrix.retryAfter({ retry_after_ms: 2000 }), 2);
+  assert.strictEqual(SINKS.slack.retryAfter({}), null);
+  assert.strictEqual(SINKS.telegram.retryAfter({}), null);
+});
+
+check('a rejected request is parked as a dead letter', async () => {
+  answers['/webhooks/2/gone'] = [404, { message: 'Unknown Webhook' }];
+  const { deadLetter } = await deliver(SINKS.discord, { url: `${base}/webhooks/2/gone` }, {});
+  assert.ok(deadLetter.lastError.startsWith('HTTP 404'));
+});
+
+check('an edit of a message deleted on Discord is skipped, not parked', async () => {
+  answers['/webhooks/3/token'] = [404, { message: 'Unknown Message', code: 10008 }];
+  const { gone, deadLetter } = await deliver(SINKS.discord, { url: `${base}/webhooks/3/token` }, { method: 'PATCH', messageId: '43' });
+  assert.strictEqual(deadLetter, undefined);
+  assert.strictEqual(gone.messageId, '43');
+});
+
+check('an item the sink can\'t build a request for is parked instead of retried', async () => {
+  const { deadLetter } = await deliver(SINKS.discord, { url: 'http://' }, {});
+  assert.ok(deadLetter.lastError.startsWith('Could not build request'));
+});
+
+check('stop the stand-in API', () => new Promise(resolve => server.close(resolve)));
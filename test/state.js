@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { check } = require('./check');
+const { createHighWaterTracker, filterKey, resolveSince } = require('../lib/state');
+
+// Where subscriptions resume after a restart: filter keys, `since` and the catch-up marks.
+
+check('filterKey ignores since, until, limit and the order of fields', () => {
+  const key = filterKey({ kinds: [1, 6], authors: ['abc'], since: 100, limit: 10 });
+  assert.strictEqual(key, 'authors=abc&kinds=1,6');
+  assert.strictEqual(filterKey({ authors: ['abc'], until: 5, kinds: [1, 6] }), key);
+  assert.notStrictEqual(filterKey({ kinds: [1], '#p': ['abc'] }), filterKey({ kinds: [1], authors: ['abc'] }));
+});
+
+check('resolveSince resumes from the last seen event, within the max lookback', () => {
+  const now = 1700000000;
+  assert.strictEqual(resolveSince(null, now, 3600), now);
+  assert.strictEqual(resolveSince(now - 60, now, 3600), now - 60);
+  assert.strictEqual(resolveSince(now - 7200, now, 3600), now - 3600);
+});
+
+// A store that only keeps marks moving forward, like createStateStore
+function markStore() {
+  const marks = {};
+  return {
+    marks,
+    updateHighWater(key, createdAt) {
+      if (!marks[key] || createdAt > marks[key]) marks[key] = createdAt;
+    }
+  };
+}
+
+check('a mark never passes an older event that is still in flight', () => {
+  const store = markStore();
+  const tracker = createHighWaterTracker(store);
+  const older = tracker.begin(['notes'], 100);
+  const newer = tracker.begin(['notes'], 200);
+  newer(true);
+  assert.strictEqual(store.marks.notes, 100);
+  older(true);
+  assert.strictEqual(store.marks.notes, 200);
+});
+
+check('failed or dropped events leave the mark, and later events still move it', () => {
+  const store = markStore();
+  const tracker = createHighWaterTracker(store);
+  const failed = tracker.begin(['notes'], 100);
+  const newer = tracker.begin(['notes'], 200);
+  failed(false);
+  assert.strictEqual(store.marks.notes, undefined);
+  newer(true);
+  assert.strictEqual(store.marks.notes, 200);
+});
+
+check('each filter key is tracked on its own', () => {
+  const store = markStore();
+  const tracker = createHighWaterTracker(store);
+  const both = tracker.begin(['notes', 'reactions'], 100);
+  tracker.begin(['notes'], 50);
+  both(true);
+  assert.strictEqual(store.marks.notes, 50);
+  assert.strictEqual(store.marks.reactions, 100);
+});
+
+check('finishing an event twice counts once', () => {
+  const store = markStore();
+  const tracker = createHighWaterTracker(store);
+  const first = tracker.begin(['notes'], 100);
+  tracker.begin(['notes'], 100);
+  first(true);
+  first(true);
+  tracker.begin(['notes'], 300)(true);
+  assert.strictEqual(store.marks.notes, 100);
+});
+
+check('an event can record another time than the one it was tracked with', () => {
+  const store = markStore();
+  const tracker = createHighWaterTracker(store);
+  const wrapped = tracker.begin(['dms'], 100);
+  const later = tracker.begin(['dms'], 500);
+  later(true, 600);
+  assert.strictEqual(store.marks.dms, 100);
+  wrapped(true, 300);
+  assert.strictEqual(store.marks.dms, 600);
+});
@@ -0,0 +1,177 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { finishEvent, generatePrivateKey, getPublicKey } = require('nostr-tools');
+const { check } = require('./check');
+const { decodeInvoice, bech32Decode } = require('../lib/bolt11');
+const { validateZapReceipt } = require('../lib/zaps');
+
+// BOLT11 decoding against the spec's examples, and zap receipt validation (NIP-57
+// appendix F) against receipts signed here with invoices encoded here.
+
+// From the BOLT11 spec: "1 cup coffee" for 2500u, expiring after 60 seconds
+const COFFEE = 'lnbc2500u1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpuaztrnwngzn3kdzw5hydlzf03qdgm2hdq27cqv3agm2awhz5se903vruatfhq77w3ls4evs3ch9zw97j25emudupq63nyw24cg27h2rspfj9srp';
+const SPEC_PAYEE = '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  values.forEach(value => {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >> i) & 1) chk ^= generator;
+    });
+  });
+  return chk;
+}
+
+// Regroup bits, 8 -> 5 (to words) or 5 -> 8 (to bytes, zero-padded)
+function regroup(values, from, to) {
+  const result = [];
+  let acc = 0;
+  let bits = 0;
+  values.forEach(value => {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((acc >> bits) & ((1 << to) - 1));
+    }
+  });
+  if (bits > 0) result.push((acc << (to - bits)) & ((1 << to) - 1));
+  return result;
+}
+
+function intWords(value, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.unshift(value % 32);
+    value = Math.floor(value / 32);
+  }
+  return words;
+}
+
+function tagged(type, bytes) {
+  const words = regroup(bytes, 8, 5);
+  return [CHARSET.indexOf(type)].concat(intWords(words.length, 2), words);
+}
+
+// A signed invoice for `amount` (e.g. "210n") committing to `description` by its hash
+function encodeInvoice({ amount, description, secretKey = secp256k1.utils.randomPrivateKey() }) {
+  const hrp = `lnbc${amount}`;
+  const descriptionHash = crypto.createHash('sha256').update(description, 'utf8').digest();
+  const data = intWords(1700000000, 7).concat(tagged('p', crypto.randomBytes(32)), tagged('h', descriptionHash));
+  const digest = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(hrp), Buffer.from(regroup(data, 5, 8))])).digest();
+  const signature = secp256k1.sign(digest, secretKey);
+  const words = data.concat(regroup(Array.from(signature.toCompactRawBytes()).concat(signature.recovery), 8, 5));
+  const expanded = Array.from(hrp, char => char.charCodeAt(0) >> 5).concat(0, Array.from(hrp, char => char.charCodeAt(0) & 31));
+  const checksum = polymod(expanded.concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const checksumWords = [0, 1, 2, 3, 4, 5].map(i => (checksum >> (5 * (5 - i))) & 31);
+  return {
+    invoice: `${hrp}1${words.concat(checksumWords).map(word => CHARSET[word]).join('')}`,
+    payee: Buffer.from(secp256k1.getPublicKey(secretKey, true)).toString('hex')
+  };
+}
+
+const sender = generatePrivateKey();
+const provider = generatePrivateKey();
+const recipient = getPublicKey(generatePrivateKey());
+const noteId = 'a'.repeat(64);
+
+// A zap receipt for `msats`; `invoiceMsats` and `tamper` make it wrong in one way or another
+function zapReceipt({ msats = 21000, invoiceMsats = msats, comment = 'Great post', tamper = receipt => receipt } = {}) {
+  const request = finishEvent({
+    kind: 9734,
+    created_at: 1700000000,
+    content: comment,
+    tags: [['p', recipient], ['e', noteId], ['amount', String(msats)], ['relays', 'wss://relay.example.org']]
+  }, sender);
+  const description = JSON.stringify(request);
+  const { invoice } = encodeInvoice({ amount: `${invoiceMsats / 100}n`, description });
+  return finishEvent(tamper({
+    kind: 9735,
+    created_at: 1700000001,
+    content: '',
+    tags: [['p', recipient], ['e', noteId], ['bolt11', invoice], ['description', description]]
+  }), provider);
+}
+
+check('decodes the spec invoice with description and expiry', () => {
+  const decoded = decodeInvoice(COFFEE);
+  assert.strictEqual(decoded.network, 'mainnet');
+  assert.strictEqual(decoded.amountMsat, 250000000);
+  assert.strictEqual(decoded.timestamp, 1496314658);
+  assert.strictEqual(decoded.paymentHash, '0001020304050607080900010203040506070809000102030405060708090102');
+  assert.strictEqual(decoded.description, '1 cup coffee');
+  assert.strictEqual(decoded.descriptionHash, null);
+  assert.strictEqual(decoded.expiry, 60);
+});
+
+check('recovers the payee from the signature', () => {
+  assert.strictEqual(decodeInvoice(COFFEE).payee, SPEC_PAYEE);
+  assert.strictEqual(decodeInvoice(`lightning:${COFFEE.toUpperCase()}`).payee, SPEC_PAYEE);
+});
+
+check('reads amount units and description hashes', () => {
+  const { invoice, payee } = encodeInvoice({ amount: '2m', description: 'hello' });
+  const decoded = decodeInvoice(invoice);
+  assert.strictEqual(decoded.amountMsat, 200000000);
+  assert.strictEqual(decoded.descriptionHash, crypto.createHash('sha256').update('hello').digest('hex'));
+  assert.strictEqual(decoded.expiry, 3600);
+  assert.strictEqual(decoded.payee, payee);
+  assert.strictEqual(decodeInvoice(encodeInvoice({ amount: '10p', description: 'x' }).invoice).amountMsat, 1);
+});
+
+check('rejects broken invoices', () => {
+  assert.throws(() => bech32Decode(COFFEE.slice(0, -1) + (COFFEE.endsWith('p') ? 'q' : 'p')), /checksum/);
+  assert.throws(() => bech32Decode(COFFEE.slice(0, 10) + COFFEE.slice(10).toUpperCase()), /Mixed-case/);
+  assert.throws(() => bech32Decode('lnbc2500u'), /separator/);
+});
+
+check('accepts a valid zap receipt and reads its details', () => {
+  const result = validateZapReceipt(zapReceipt(), { recipientPubkey: recipient, providerPubkey: getPublicKey(provider) });
+  assert.deepStrictEqual(result.problems, []);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.amountMsat, 21000);
+  assert.strictEqual(result.senderPubkey, getPublicKey(sender));
+  assert.strictEqual(result.comment, 'Great post');
+});
+
+check('flags a receipt from someone other than the zap provider', () => {
+  const result = validateZapReceipt(zapReceipt(), { providerPubkey: getPublicKey(generatePrivateKey()) });
+  assert.deepStrictEqual(result.problems, ['receipt not signed by the recipient\'s zap provider']);
+});
+
+check('flags an invoice for a different amount than requested', () => {
+  const result = validateZapReceipt(zapReceipt({ msats: 21000, invoiceMsats: 1000 }));
+  assert.deepStrictEqual(result.problems, ['invoice amount differs from the requested amount']);
+});
+
+check('flags a zap request that doesn\'t match the receipt or the invoice', () => {
+  const swapped = zapReceipt({
+    tamper: receipt => {
+      const description = receipt.tags.find(tag => tag[0] === 'description');
+      const request = JSON.parse(description[1]);
+      request.content = 'edited';
+      description[1] = JSON.stringify(request);
+      receipt.tags.find(tag => tag[0] === 'e')[1] = 'b'.repeat(64);
+      return receipt;
+    }
+  });
+  const result = validateZapReceipt(swapped, { recipientPubkey: getPublicKey(generatePrivateKey()) });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.problems, [
+    'zap request is not a signed kind 9734 event',
+    'zap is not addressed to this recipient',
+    'e tag does not match the zap request',
+    'invoice description hash does not match the zap request'
+  ]);
+});
+
+check('flags a receipt without zap request or invoice', () => {
+  const result = validateZapReceipt({ kind: 9735, pubkey: getPublicKey(provider), tags: [['p', recipient]] });
+  assert.deepStrictEqual(result.problems, ['missing zap request', 'missing bolt11 invoice']);
+});